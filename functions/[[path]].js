@@ -13,12 +13,18 @@
  *   CACHE_TTL_HTML      - Cloudflare CDN cache TTL for HTML (default: 1800 = 30 min)
  *   CACHE_TTL_STATIC    - Cloudflare CDN cache TTL for static assets (default: 86400 = 24h)
  *   PURGE_SECRET        - Secret for /_purge endpoint (Cloudflare CDN cache purge)
+ *   SEARCH_HEALTH_SECRET - Optional secret for /search/_health (see search.js)
+ *
+ * Search routes outside /search itself (/search/_health, /search/suggest,
+ * /search/bulk, /opensearch.xml) are answered by search.js before the
+ * storage chain.
  * 
  * R2 Binding (required if 'r2' in STORAGE_ORDER):
  *   METRICS_CONTENT - R2 bucket binding
  */
 
-import { getMimeType, isStaticAsset, SECURITY_HEADERS_HTML } from './_shared.js';
+import { getMimeType, isStaticAsset, secretMatches, SECURITY_HEADERS_HTML } from './_shared.js';
+import { onBulkRequest, onHealthRequest, onOpenSearchRequest, onSuggestRequest } from './search.js';
 
 // === Utility Functions ===
 
@@ -221,7 +227,7 @@ async function handlePurge(request, env) {
   if (!env.PURGE_SECRET) {
     return new Response('PURGE_SECRET not configured', { status: 501 });
   }
-  if (secret !== env.PURGE_SECRET) {
+  if (!(await secretMatches(secret, env.PURGE_SECRET))) {
     return new Response('Unauthorized', { status: 401 });
   }
 
@@ -275,6 +281,22 @@ export async function onRequest(context) {
     return handlePurge(request, env);
   }
 
+  // Search readiness, suggestions, bulk status and the OpenSearch
+  // description that search pages link (Workers route these in
+  // workers/search.js)
+  if (path === 'search/_health') {
+    return onHealthRequest(context);
+  }
+  if (path === 'search/suggest') {
+    return onSuggestRequest(context);
+  }
+  if (path === 'search/bulk') {
+    return onBulkRequest(context);
+  }
+  if (path === 'opensearch.xml') {
+    return onOpenSearchRequest(context);
+  }
+
   // Check edge cache first
   const cache = caches.default;
   const cacheKey = getCacheKey(request, env);
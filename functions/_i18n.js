@@ -0,0 +1,429 @@
+/**
+ * Message catalog and language negotiation for Cloudflare Pages Functions
+ *
+ * Used by:
+ *   - search.js (search, not-found, invalid, rate-limit and error pages;
+ *     filter syntax errors; localized country-name search)
+ *
+ * English is the source catalog; other catalogs may omit keys, which then
+ * fall back to English. Messages are trusted static text (tips carry
+ * inline HTML). Callers escape parameters as their output requires.
+ */
+
+// =============================================================================
+// CATALOG
+// =============================================================================
+
+export const DEFAULT_LANG = 'en';
+
+const FILTER_CODES = '<code>country:</code>, <code>as:</code>, <code>flag:</code>, <code>platform:</code>, ' +
+  '<code>ciiss:</code>, <code>first_seen:</code>, <code>since:</code>';
+
+const MESSAGES = Object.freeze({
+  en: Object.freeze({
+    'page.home': '← Back to home',
+    'form.placeholder': 'Search by fingerprint, nickname, AS, country, IP...',
+    'form.submit': 'Search',
+    'form.modeAll': 'Show every result type',
+    'title.results': 'Search Results',
+    'title.notFound': 'No Results Found',
+    'title.invalid': 'Invalid Search Query',
+    'title.error': 'Search Error',
+    'title.rateLimited': 'Too Many Searches',
+    'pager.prev': '← Previous',
+    'pager.next': 'Next →',
+    'pager.status': 'Page {page} of {pageCount} ({total} results)',
+    'card.unnamed': 'Unnamed',
+    'card.family': 'Family',
+    'card.relays': '{count} relays',
+    'card.validated': 'validated',
+    'card.notValidated': 'not validated',
+    'card.operator': 'Operator',
+    'card.flag': 'Flag',
+    'card.platform': 'Platform',
+    'group.country': 'Countries',
+    'group.as': 'Autonomous Systems',
+    'group.platform': 'Platforms',
+    'group.flag': 'Flags',
+    'group.aroi': 'Operators',
+    'group.family': 'Families',
+    'group.relay': 'Relays',
+    'notFound.text': 'No relays, families, or operators found matching "{query}".',
+    'notFound.didYouMean': 'Did you mean',
+    'kind.relay': 'relay',
+    'kind.family': 'family',
+    'kind.aroi': 'operator',
+    'error.heading': 'Error {code}:',
+    'error.timestamp': 'Timestamp: {time}',
+    'error.retry': 'If this persists, try again in a few minutes.',
+    'rateLimited.text': 'Too many searches from your network. Try again in {seconds} seconds.',
+    'invalid.tooLong': 'Query too long (max {max} chars)',
+    'invalid.chars': 'Query contains invalid characters',
+    'filter.malformed': 'Malformed filter "{term}" (use key:value)',
+    'filter.unknownKey': 'Unknown filter "{key}:" (supported: {keys})',
+    'filter.noValue': 'Filter "{key}:" needs a value',
+    'filter.unknownCountry': 'Unknown country "{value}" (use a two-letter code, e.g. country:de)',
+    'filter.unknownAs': 'Unknown AS "{value}" (e.g. as:AS24940)',
+    'filter.unknownFlag': 'Unknown flag "{value}"',
+    'filter.unknownPlatform': 'Unknown platform "{value}"',
+    'filter.unknownCiiss': 'Unknown CIISS version "{value}" (use ciiss:v2 or ciiss:v3)',
+    'filter.needsFlags': 'flag: filters need a search index with per-relay flags',
+    'filter.needsPlatforms': 'platform: filters need a search index with per-relay platforms',
+    'filter.needsFirstSeen': '{key}: filters need a search index with per-relay first-seen dates',
+    'filter.invalidDate': 'Invalid date "{value}"',
+    'filter.dateFormat': 'Invalid date "{value}" (use {key}:YYYY, YYYY-MM or YYYY-MM-DD)',
+    'hint.fingerprintPrefix': 'Multiple relays match this fingerprint prefix',
+    'hint.filterMatches': '{count} relays match {q}',
+    'hint.operatorsNamed': '{count} operators named "{q}"',
+    'hint.operatorsUnder': '{count} operators under "{q}"',
+    'hint.relaysInBlock': '{count} relays in {q}',
+    'hint.relaysNamed': '{count} relays named "{q}"',
+    'hint.asNames': '{count} autonomous systems match "{q}"',
+    'hint.relaysMatch': '{count} relays match "{q}"',
+    'hint.relaysContaining': 'Found {count} relays containing "{q}"',
+    'hint.operatorsContaining': '{count} operators containing "{q}"',
+    'hint.grouped': '{total} results across {types} types for "{q}"',
+    'tips.title': 'Search Tips',
+    'tips.fingerprint': '<strong>Fingerprint:</strong> 6+ hex characters (e.g., <code>ABCD1234</code>)',
+    'tips.nickname': '<strong>Nickname:</strong> Relay name (e.g., <code>MyRelay</code>)',
+    'tips.asNumber': '<strong>AS Number:</strong> With or without prefix (e.g., <code>AS24940</code> or <code>24940</code>)',
+    'tips.asName': '<strong>AS Name:</strong> Hosting provider (e.g., <code>hetzner</code>)',
+    'tips.country': '<strong>Country:</strong> Code or name (e.g., <code>de</code> or <code>Germany</code>)',
+    'tips.ip': '<strong>IP Address:</strong> IPv4 or IPv6, or a subnet (e.g., <code>192.0.2.0/24</code>)',
+    'tips.contact': '<strong>Contact:</strong> AROI domain (e.g., <code>example.org</code>)',
+    'tips.firstSeen': '<strong>First Seen:</strong> A date or month (e.g., <code>2024-05-01</code> or <code>2024-05</code>)',
+    'tips.filters': `<strong>Filters:</strong> Combine ${FILTER_CODES} (e.g., <code>country:de flag:exit</code>)`,
+  }),
+
+  de: Object.freeze({
+    'page.home': '← Zurück zur Startseite',
+    'form.placeholder': 'Suche nach Fingerprint, Nickname, AS, Land, IP...',
+    'form.submit': 'Suchen',
+    'form.modeAll': 'Alle Ergebnistypen anzeigen',
+    'title.results': 'Suchergebnisse',
+    'title.notFound': 'Keine Ergebnisse gefunden',
+    'title.invalid': 'Ungültige Suchanfrage',
+    'title.error': 'Suchfehler',
+    'title.rateLimited': 'Zu viele Suchanfragen',
+    'pager.prev': '← Zurück',
+    'pager.next': 'Weiter →',
+    'pager.status': 'Seite {page} von {pageCount} ({total} Ergebnisse)',
+    'card.unnamed': 'Unbenannt',
+    'card.family': 'Familie',
+    'card.relays': '{count} Relays',
+    'card.validated': 'validiert',
+    'card.notValidated': 'nicht validiert',
+    'card.operator': 'Betreiber',
+    'card.flag': 'Flag',
+    'card.platform': 'Plattform',
+    'group.country': 'Länder',
+    'group.as': 'Autonome Systeme',
+    'group.platform': 'Plattformen',
+    'group.flag': 'Flags',
+    'group.aroi': 'Betreiber',
+    'group.family': 'Familien',
+    'group.relay': 'Relays',
+    'notFound.text': 'Keine Relays, Familien oder Betreiber zu „{query}“ gefunden.',
+    'notFound.didYouMean': 'Meinten Sie',
+    'kind.relay': 'Relay',
+    'kind.family': 'Familie',
+    'kind.aroi': 'Betreiber',
+    'error.heading': 'Fehler {code}:',
+    'error.timestamp': 'Zeitpunkt: {time}',
+    'error.retry': 'Falls das Problem bestehen bleibt, versuchen Sie es in einigen Minuten erneut.',
+    'rateLimited.text': 'Zu viele Suchanfragen aus Ihrem Netzwerk. Versuchen Sie es in {seconds} Sekunden erneut.',
+    'invalid.tooLong': 'Suchanfrage zu lang (max. {max} Zeichen)',
+    'invalid.chars': 'Suchanfrage enthält ungültige Zeichen',
+    'filter.malformed': 'Fehlerhafter Filter „{term}“ (Format: key:value)',
+    'filter.unknownKey': 'Unbekannter Filter „{key}:“ (unterstützt: {keys})',
+    'filter.noValue': 'Filter „{key}:“ braucht einen Wert',
+    'filter.unknownCountry': 'Unbekanntes Land „{value}“ (zweistelliger Code, z. B. country:de)',
+    'filter.unknownAs': 'Unbekanntes AS „{value}“ (z. B. as:AS24940)',
+    'filter.unknownFlag': 'Unbekanntes Flag „{value}“',
+    'filter.unknownPlatform': 'Unbekannte Plattform „{value}“',
+    'filter.unknownCiiss': 'Unbekannte CIISS-Version „{value}“ (ciiss:v2 oder ciiss:v3)',
+    'filter.needsFlags': 'flag:-Filter brauchen einen Suchindex mit Flags pro Relay',
+    'filter.needsPlatforms': 'platform:-Filter brauchen einen Suchindex mit Plattformen pro Relay',
+    'filter.needsFirstSeen': '{key}:-Filter brauchen einen Suchindex mit Erstsichtungsdaten pro Relay',
+    'filter.invalidDate': 'Ungültiges Datum „{value}“',
+    'filter.dateFormat': 'Ungültiges Datum „{value}“ (Format: {key}:JJJJ, JJJJ-MM oder JJJJ-MM-TT)',
+    'hint.fingerprintPrefix': 'Mehrere Relays passen zu diesem Fingerprint-Präfix',
+    'hint.filterMatches': '{count} Relays passen zu {q}',
+    'hint.operatorsNamed': '{count} Betreiber namens „{q}“',
+    'hint.operatorsUnder': '{count} Betreiber unter „{q}“',
+    'hint.relaysInBlock': '{count} Relays in {q}',
+    'hint.relaysNamed': '{count} Relays namens „{q}“',
+    'hint.asNames': '{count} autonome Systeme passen zu „{q}“',
+    'hint.relaysMatch': '{count} Relays passen zu „{q}“',
+    'hint.relaysContaining': '{count} Relays enthalten „{q}“',
+    'hint.operatorsContaining': '{count} Betreiber enthalten „{q}“',
+    'hint.grouped': '{total} Ergebnisse in {types} Kategorien für „{q}“',
+    'tips.title': 'Suchtipps',
+    'tips.fingerprint': '<strong>Fingerprint:</strong> 6 oder mehr Hex-Zeichen (z. B. <code>ABCD1234</code>)',
+    'tips.nickname': '<strong>Nickname:</strong> Name des Relays (z. B. <code>MyRelay</code>)',
+    'tips.asNumber': '<strong>AS-Nummer:</strong> Mit oder ohne Präfix (z. B. <code>AS24940</code> oder <code>24940</code>)',
+    'tips.asName': '<strong>AS-Name:</strong> Hosting-Anbieter (z. B. <code>hetzner</code>)',
+    'tips.country': '<strong>Land:</strong> Code oder Name (z. B. <code>de</code> oder <code>Deutschland</code>)',
+    'tips.ip': '<strong>IP-Adresse:</strong> IPv4 oder IPv6 oder ein Subnetz (z. B. <code>192.0.2.0/24</code>)',
+    'tips.contact': '<strong>Kontakt:</strong> AROI-Domain (z. B. <code>example.org</code>)',
+    'tips.firstSeen': '<strong>Zuerst gesehen:</strong> Ein Datum oder Monat (z. B. <code>2024-05-01</code> oder <code>2024-05</code>)',
+    'tips.filters': `<strong>Filter:</strong> Kombinieren Sie ${FILTER_CODES} (z. B. <code>country:de flag:exit</code>)`,
+  }),
+
+  fr: Object.freeze({
+    'page.home': '← Retour à l’accueil',
+    'form.placeholder': 'Rechercher par empreinte, surnom, AS, pays, IP...',
+    'form.submit': 'Rechercher',
+    'form.modeAll': 'Afficher tous les types de résultats',
+    'title.results': 'Résultats de recherche',
+    'title.notFound': 'Aucun résultat',
+    'title.invalid': 'Requête de recherche invalide',
+    'title.error': 'Erreur de recherche',
+    'title.rateLimited': 'Trop de recherches',
+    'pager.prev': '← Précédent',
+    'pager.next': 'Suivant →',
+    'pager.status': 'Page {page} sur {pageCount} ({total} résultats)',
+    'card.unnamed': 'Sans nom',
+    'card.family': 'Famille',
+    'card.relays': '{count} relais',
+    'card.validated': 'validé',
+    'card.notValidated': 'non validé',
+    'card.operator': 'Opérateur',
+    'card.flag': 'Drapeau',
+    'card.platform': 'Plateforme',
+    'group.country': 'Pays',
+    'group.as': 'Systèmes autonomes',
+    'group.platform': 'Plateformes',
+    'group.flag': 'Drapeaux',
+    'group.aroi': 'Opérateurs',
+    'group.family': 'Familles',
+    'group.relay': 'Relais',
+    'notFound.text': 'Aucun relais, aucune famille ni aucun opérateur ne correspond à « {query} ».',
+    'notFound.didYouMean': 'Vouliez-vous dire',
+    'kind.relay': 'relais',
+    'kind.family': 'famille',
+    'kind.aroi': 'opérateur',
+    'error.heading': 'Erreur {code} :',
+    'error.timestamp': 'Horodatage : {time}',
+    'error.retry': 'Si le problème persiste, réessayez dans quelques minutes.',
+    'rateLimited.text': 'Trop de recherches depuis votre réseau. Réessayez dans {seconds} secondes.',
+    'invalid.tooLong': 'Requête trop longue ({max} caractères au maximum)',
+    'invalid.chars': 'La requête contient des caractères invalides',
+    'filter.malformed': 'Filtre mal formé « {term} » (utilisez clé:valeur)',
+    'filter.unknownKey': 'Filtre inconnu « {key}: » (pris en charge : {keys})',
+    'filter.noValue': 'Le filtre « {key}: » nécessite une valeur',
+    'filter.unknownCountry': 'Pays inconnu « {value} » (utilisez un code à deux lettres, p. ex. country:de)',
+    'filter.unknownAs': 'AS inconnu « {value} » (p. ex. as:AS24940)',
+    'filter.unknownFlag': 'Drapeau inconnu « {value} »',
+    'filter.unknownPlatform': 'Plateforme inconnue « {value} »',
+    'filter.unknownCiiss': 'Version CIISS inconnue « {value} » (utilisez ciiss:v2 ou ciiss:v3)',
+    'filter.needsFlags': 'Les filtres flag: nécessitent un index de recherche avec les drapeaux de chaque relais',
+    'filter.needsPlatforms': 'Les filtres platform: nécessitent un index de recherche avec la plateforme de chaque relais',
+    'filter.needsFirstSeen': 'Les filtres {key}: nécessitent un index de recherche avec la date de première apparition de chaque relais',
+    'filter.invalidDate': 'Date invalide « {value} »',
+    'filter.dateFormat': 'Date invalide « {value} » (utilisez {key}:AAAA, AAAA-MM ou AAAA-MM-JJ)',
+    'hint.fingerprintPrefix': 'Plusieurs relais correspondent à ce préfixe d’empreinte',
+    'hint.filterMatches': '{count} relais correspondent à {q}',
+    'hint.operatorsNamed': '{count} opérateurs nommés « {q} »',
+    'hint.operatorsUnder': '{count} opérateurs sous « {q} »',
+    'hint.relaysInBlock': '{count} relais dans {q}',
+    'hint.relaysNamed': '{count} relais nommés « {q} »',
+    'hint.asNames': '{count} systèmes autonomes correspondent à « {q} »',
+    'hint.relaysMatch': '{count} relais correspondent à « {q} »',
+    'hint.relaysContaining': '{count} relais contiennent « {q} »',
+    'hint.operatorsContaining': '{count} opérateurs contiennent « {q} »',
+    'hint.grouped': '{total} résultats dans {types} catégories pour « {q} »',
+    'tips.title': 'Conseils de recherche',
+    'tips.fingerprint': '<strong>Empreinte :</strong> 6 caractères hexadécimaux ou plus (p. ex. <code>ABCD1234</code>)',
+    'tips.nickname': '<strong>Surnom :</strong> Nom du relais (p. ex. <code>MyRelay</code>)',
+    'tips.asNumber': '<strong>Numéro d’AS :</strong> Avec ou sans préfixe (p. ex. <code>AS24940</code> ou <code>24940</code>)',
+    'tips.asName': '<strong>Nom d’AS :</strong> Hébergeur (p. ex. <code>hetzner</code>)',
+    'tips.country': '<strong>Pays :</strong> Code ou nom (p. ex. <code>de</code> ou <code>Allemagne</code>)',
+    'tips.ip': '<strong>Adresse IP :</strong> IPv4 ou IPv6, ou un sous-réseau (p. ex. <code>192.0.2.0/24</code>)',
+    'tips.contact': '<strong>Contact :</strong> Domaine AROI (p. ex. <code>example.org</code>)',
+    'tips.firstSeen': '<strong>Première apparition :</strong> Une date ou un mois (p. ex. <code>2024-05-01</code> ou <code>2024-05</code>)',
+    'tips.filters': `<strong>Filtres :</strong> Combinez ${FILTER_CODES} (p. ex. <code>country:de flag:exit</code>)`,
+  }),
+
+  es: Object.freeze({
+    'page.home': '← Volver al inicio',
+    'form.placeholder': 'Buscar por huella, apodo, AS, país, IP...',
+    'form.submit': 'Buscar',
+    'form.modeAll': 'Mostrar todos los tipos de resultado',
+    'title.results': 'Resultados de búsqueda',
+    'title.notFound': 'No se encontraron resultados',
+    'title.invalid': 'Consulta de búsqueda no válida',
+    'title.error': 'Error de búsqueda',
+    'title.rateLimited': 'Demasiadas búsquedas',
+    'pager.prev': '← Anterior',
+    'pager.next': 'Siguiente →',
+    'pager.status': 'Página {page} de {pageCount} ({total} resultados)',
+    'card.unnamed': 'Sin nombre',
+    'card.family': 'Familia',
+    'card.relays': '{count} relés',
+    'card.validated': 'validado',
+    'card.notValidated': 'no validado',
+    'card.operator': 'Operador',
+    'card.flag': 'Bandera',
+    'card.platform': 'Plataforma',
+    'group.country': 'Países',
+    'group.as': 'Sistemas autónomos',
+    'group.platform': 'Plataformas',
+    'group.flag': 'Banderas',
+    'group.aroi': 'Operadores',
+    'group.family': 'Familias',
+    'group.relay': 'Relés',
+    'notFound.text': 'No se encontraron relés, familias ni operadores que coincidan con «{query}».',
+    'notFound.didYouMean': 'Quizás quisiste decir',
+    'kind.relay': 'relé',
+    'kind.family': 'familia',
+    'kind.aroi': 'operador',
+    'error.heading': 'Error {code}:',
+    'error.timestamp': 'Marca de tiempo: {time}',
+    'error.retry': 'Si el problema persiste, vuelve a intentarlo en unos minutos.',
+    'rateLimited.text': 'Demasiadas búsquedas desde tu red. Vuelve a intentarlo en {seconds} segundos.',
+    'invalid.tooLong': 'Consulta demasiado larga (máx. {max} caracteres)',
+    'invalid.chars': 'La consulta contiene caracteres no válidos',
+    'filter.malformed': 'Filtro mal formado «{term}» (usa clave:valor)',
+    'filter.unknownKey': 'Filtro desconocido «{key}:» (admitidos: {keys})',
+    'filter.noValue': 'El filtro «{key}:» necesita un valor',
+    'filter.unknownCountry': 'País desconocido «{value}» (usa un código de dos letras, p. ej., country:de)',
+    'filter.unknownAs': 'AS desconocido «{value}» (p. ej., as:AS24940)',
+    'filter.unknownFlag': 'Bandera desconocida «{value}»',
+    'filter.unknownPlatform': 'Plataforma desconocida «{value}»',
+    'filter.unknownCiiss': 'Versión de CIISS desconocida «{value}» (usa ciiss:v2 o ciiss:v3)',
+    'filter.needsFlags': 'Los filtros flag: necesitan un índice de búsqueda con las banderas de cada relé',
+    'filter.needsPlatforms': 'Los filtros platform: necesitan un índice de búsqueda con la plataforma de cada relé',
+    'filter.needsFirstSeen': 'Los filtros {key}: necesitan un índice de búsqueda con la fecha de primera aparición de cada relé',
+    'filter.invalidDate': 'Fecha no válida «{value}»',
+    'filter.dateFormat': 'Fecha no válida «{value}» (usa {key}:AAAA, AAAA-MM o AAAA-MM-DD)',
+    'hint.fingerprintPrefix': 'Varios relés coinciden con este prefijo de huella',
+    'hint.filterMatches': '{count} relés coinciden con {q}',
+    'hint.operatorsNamed': '{count} operadores llamados «{q}»',
+    'hint.operatorsUnder': '{count} operadores bajo «{q}»',
+    'hint.relaysInBlock': '{count} relés en {q}',
+    'hint.relaysNamed': '{count} relés llamados «{q}»',
+    'hint.asNames': '{count} sistemas autónomos coinciden con «{q}»',
+    'hint.relaysMatch': '{count} relés coinciden con «{q}»',
+    'hint.relaysContaining': '{count} relés contienen «{q}»',
+    'hint.operatorsContaining': '{count} operadores contienen «{q}»',
+    'hint.grouped': '{total} resultados en {types} categorías para «{q}»',
+    'tips.title': 'Consejos de búsqueda',
+    'tips.fingerprint': '<strong>Huella:</strong> 6 o más caracteres hexadecimales (p. ej., <code>ABCD1234</code>)',
+    'tips.nickname': '<strong>Apodo:</strong> Nombre del relé (p. ej., <code>MyRelay</code>)',
+    'tips.asNumber': '<strong>Número de AS:</strong> Con o sin prefijo (p. ej., <code>AS24940</code> o <code>24940</code>)',
+    'tips.asName': '<strong>Nombre de AS:</strong> Proveedor de alojamiento (p. ej., <code>hetzner</code>)',
+    'tips.country': '<strong>País:</strong> Código o nombre (p. ej., <code>de</code> o <code>Alemania</code>)',
+    'tips.ip': '<strong>Dirección IP:</strong> IPv4 o IPv6, o una subred (p. ej., <code>192.0.2.0/24</code>)',
+    'tips.contact': '<strong>Contacto:</strong> Dominio AROI (p. ej., <code>example.org</code>)',
+    'tips.firstSeen': '<strong>Primera aparición:</strong> Una fecha o un mes (p. ej., <code>2024-05-01</code> o <code>2024-05</code>)',
+    'tips.filters': `<strong>Filtros:</strong> Combina ${FILTER_CODES} (p. ej., <code>country:de flag:exit</code>)`,
+  }),
+});
+
+export const SUPPORTED_LANGS = Object.freeze(Object.keys(MESSAGES));
+
+const RE_PARAM = /\{(\w+)\}/g;
+
+/**
+ * Look up a message and fill {name} placeholders.
+ * @param {string} lang - Supported language code
+ * @param {string} key - Catalog key
+ * @param {object} [params] - Placeholder values (inserted as-is)
+ * @returns {string} Message text; the key itself if no catalog has it
+ */
+export function t(lang, key, params) {
+  const template = (MESSAGES[lang] && MESSAGES[lang][key]) ?? MESSAGES[DEFAULT_LANG][key] ?? key;
+  if (!params) return template;
+  return template.replace(RE_PARAM, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+// =============================================================================
+// NEGOTIATION
+// =============================================================================
+
+const MAX_LANGUAGE_RANGES = 16;  // Accept-Language entries considered
+const RE_LANGUAGE_RANGE = /^([A-Za-z]{1,8})(?:-[A-Za-z0-9]{1,8})*$/;
+const RE_QUALITY = /^q=([01](?:\.\d{0,3})?)$/i;
+
+function supportedLang(tag) {
+  const m = RE_LANGUAGE_RANGE.exec(tag || '');
+  const primary = m ? m[1].toLowerCase() : '';
+  return SUPPORTED_LANGS.includes(primary) ? primary : null;
+}
+
+/**
+ * Choose the page language: a supported ?lang= wins, then the highest
+ * weighted supported Accept-Language range, then English.
+ * @param {string|null} acceptLanguage - Accept-Language header
+ * @param {string|null} langParam - ?lang= value
+ * @returns {{lang: string, explicit: boolean}} explicit when from ?lang=
+ */
+export function negotiateLang(acceptLanguage, langParam) {
+  const fromParam = supportedLang(langParam);
+  if (fromParam) return { lang: fromParam, explicit: true };
+
+  let best = null;
+  let bestQ = 0;
+  const ranges = (acceptLanguage || '').split(',').slice(0, MAX_LANGUAGE_RANGES);
+  for (const range of ranges) {
+    const [tag, ...attrs] = range.trim().split(';');
+    const lang = supportedLang(tag.trim());
+    if (!lang) continue;
+    let q = 1;
+    for (const attr of attrs) {
+      const m = RE_QUALITY.exec(attr.trim());
+      if (m) q = Number(m[1]);
+    }
+    // Ties keep the header order
+    if (q > bestQ) { best = lang; bestQ = q; }
+  }
+  return { lang: best || DEFAULT_LANG, explicit: false };
+}
+
+// =============================================================================
+// LOCALIZED COUNTRY NAMES
+// =============================================================================
+
+/**
+ * Lowercase and strip diacritics so "Österreich" and "osterreich" compare
+ * equal.
+ */
+export function foldName(s) {
+  return s.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Map folded country names in every non-English catalog language to their
+ * code ("deutschland", "allemagne" -> "de"). Names come from
+ * Intl.DisplayNames; runtimes without it get an empty map.
+ * @param {Iterable<string>} codes - Lowercase two-letter codes
+ * @returns {Map<string, string>}
+ */
+export function localizedCountryNames(codes) {
+  const names = new Map();
+  if (typeof Intl === 'undefined' || typeof Intl.DisplayNames !== 'function') return names;
+
+  const displays = [];
+  for (const lang of SUPPORTED_LANGS) {
+    if (lang === DEFAULT_LANG) continue;
+    try {
+      displays.push(new Intl.DisplayNames([lang], { type: 'region', fallback: 'none' }));
+    } catch {
+      // Locale data missing in this runtime
+    }
+  }
+
+  for (const code of codes) {
+    for (const display of displays) {
+      let name;
+      try {
+        name = display.of(code.toUpperCase());
+      } catch {
+        continue;  // not a region code (e.g. "eu" placeholders)
+      }
+      if (name && !names.has(foldName(name))) names.set(foldName(name), code);
+    }
+  }
+  return names;
+}
@@ -0,0 +1,200 @@
+/**
+ * IP address and CIDR parsing for Cloudflare Pages Functions
+ *
+ * Used by:
+ *   - search.js (subnet search across relay addresses, canonical address
+ *     keys for exact lookups)
+ *   - _ratelimit.js (per-client bucket keys)
+ *
+ * IPv4 addresses are parsed to unsigned 32-bit numbers and IPv6 addresses
+ * to 128-bit BigInts, so prefix containment is a single masked comparison.
+ * All parsers return null on malformed input rather than throwing.
+ */
+
+// =============================================================================
+// PATTERNS
+// =============================================================================
+
+const RE_IPV4_PARTS = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const RE_HEX_GROUP = /^[0-9A-Fa-f]{1,4}$/;
+const RE_PREFIX_LENGTH = /^\d{1,3}$/;
+const RE_BRACKETED_V6 = /^\[([^\]]+)\](?::\d{1,5})?$/;       // [2001:db8::1]:9001
+const RE_V4_WITH_PORT = /^((?:\d{1,3}\.){3}\d{1,3}):\d{1,5}$/; // 192.0.2.1:9001
+
+const IPV6_BITS = 128n;
+const IPV6_ALL_ONES = (1n << IPV6_BITS) - 1n;
+const IPV4_MAPPED_PREFIX = 0xffffn;  // ::ffff:0:0/96, upper 96 bits
+
+// =============================================================================
+// ADDRESS PARSING
+// =============================================================================
+
+/**
+ * Parse dotted-quad IPv4
+ * @param {string} s - Address text
+ * @returns {number|null} Unsigned 32-bit value
+ */
+export function parseIPv4(s) {
+  const m = RE_IPV4_PARTS.exec(s);
+  if (!m) return null;
+  let value = 0;
+  for (let i = 1; i <= 4; i++) {
+    const octet = Number(m[i]);
+    if (octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+/**
+ * Parse IPv6, including "::" compression and a trailing dotted-quad
+ * (e.g. ::ffff:192.0.2.1)
+ * @param {string} s - Address text
+ * @returns {bigint|null} 128-bit value
+ */
+export function parseIPv6(s) {
+  if (!s || s.length > 45 || !s.includes(':')) return null;
+
+  const halves = s.split('::');
+  if (halves.length > 2) return null;
+
+  const toGroups = (part) => {
+    if (!part) return [];
+    const groups = part.split(':');
+    const last = groups[groups.length - 1];
+    if (last.includes('.')) {
+      const v4 = parseIPv4(last);
+      if (v4 === null) return null;
+      groups.splice(-1, 1, (v4 >>> 16).toString(16), (v4 & 0xffff).toString(16));
+    }
+    for (const g of groups) if (!RE_HEX_GROUP.test(g)) return null;
+    return groups;
+  };
+
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  if (!head || !tail) return null;
+  // A dotted-quad is only valid in the last position
+  if (halves.length === 2 && halves[0].includes('.')) return null;
+
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  let value = 0n;
+  for (const g of [...head, ...new Array(missing).fill('0'), ...tail]) {
+    value = (value << 16n) | BigInt(parseInt(g, 16));
+  }
+  return value;
+}
+
+/**
+ * Parse an address of either family
+ * @param {string} s - Address text
+ * @returns {{version: 4|6, value: number|bigint}|null}
+ */
+export function parseIp(s) {
+  const v4 = parseIPv4(s);
+  if (v4 !== null) return { version: 4, value: v4 };
+  const v6 = parseIPv6(s);
+  if (v6 !== null) return { version: 6, value: v6 };
+  return null;
+}
+
+// =============================================================================
+// CIDR
+// =============================================================================
+
+/**
+ * Parse CIDR notation ("192.0.2.0/24", "2001:db8::/32").
+ * Host bits are masked off, so "192.0.2.7/24" selects 192.0.2.0/24.
+ * @param {string} s - CIDR text
+ * @returns {{version: 4|6, prefix: number, network: number|bigint}|null}
+ */
+export function parseCidr(s) {
+  const slash = s.indexOf('/');
+  if (slash < 0 || slash !== s.lastIndexOf('/')) return null;
+  const lengthText = s.slice(slash + 1);
+  if (!RE_PREFIX_LENGTH.test(lengthText)) return null;
+
+  const addr = parseIp(s.slice(0, slash));
+  if (!addr) return null;
+  const prefix = Number(lengthText);
+  if (prefix > (addr.version === 4 ? 32 : 128)) return null;
+
+  return { version: addr.version, prefix, network: maskAddress(addr.version, addr.value, prefix) };
+}
+
+function maskAddress(version, value, prefix) {
+  if (version === 4) {
+    // >>> 0 keeps the result unsigned; a /0 mask is all zeroes
+    const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+    return (value & mask) >>> 0;
+  }
+  const mask = (IPV6_ALL_ONES << (IPV6_BITS - BigInt(prefix))) & IPV6_ALL_ONES;
+  return value & mask;
+}
+
+/**
+ * Test whether a parsed address falls inside a parsed CIDR block
+ * @param {object} cidr - Result of parseCidr
+ * @param {object} addr - Result of parseIp
+ * @returns {boolean}
+ */
+export function cidrContains(cidr, addr) {
+  return addr.version === cidr.version &&
+    maskAddress(addr.version, addr.value, cidr.prefix) === cidr.network;
+}
+
+// =============================================================================
+// CANONICAL TEXT
+// =============================================================================
+
+/**
+ * Format a 128-bit value as RFC 5952 text: lowercase hex, no leading
+ * zeroes, and the longest run of two or more zero groups (leftmost on a
+ * tie) compressed to "::".
+ * @param {bigint} value
+ * @returns {string}
+ */
+export function formatIPv6(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  let bestStart = -1, bestLength = 1;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) { i++; continue; }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) { bestStart = i; bestLength = j - i; }
+    i = j;
+  }
+
+  const hex = (list) => list.map((g) => g.toString(16)).join(':');
+  if (bestStart < 0) return hex(groups);
+  return hex(groups.slice(0, bestStart)) + '::' + hex(groups.slice(bestStart + bestLength));
+}
+
+function formatIPv4(value) {
+  return [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].join('.');
+}
+
+/**
+ * Canonical text for an address as commonly written: brackets and a port
+ * are stripped ("[2001:db8::1]:9001", "192.0.2.1:9001"), IPv4-mapped IPv6
+ * is unwrapped to IPv4, and IPv6 is formatted per RFC 5952.
+ * @param {string} s - Address text
+ * @returns {string|null} Canonical address, or null if s is not one
+ */
+export function canonicalIp(s) {
+  if (!s || typeof s !== 'string') return null;
+  const text = RE_BRACKETED_V6.exec(s)?.[1] ?? RE_V4_WITH_PORT.exec(s)?.[1] ?? s;
+
+  const v4 = parseIPv4(text);
+  if (v4 !== null) return formatIPv4(v4);
+  const v6 = parseIPv6(text);
+  if (v6 === null) return null;
+  if (v6 >> 32n === IPV4_MAPPED_PREFIX) return formatIPv4(Number(v6 & 0xffffffffn));
+  return formatIPv6(v6);
+}
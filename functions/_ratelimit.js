@@ -0,0 +1,215 @@
+/**
+ * Per-client token bucket rate limiting for Cloudflare Pages Functions
+ *
+ * Used by:
+ *   - search.js (/search, /search/suggest, /search/bulk and
+ *     /search/_health, in Pages and the Worker)
+ *   - workers/search.js (exports the SearchRateLimiter Durable Object)
+ *
+ * Configuration (environment variables):
+ *   SEARCH_RATE_LIMIT_PER_MINUTE - Sustained requests per client per minute,
+ *                                  each bulk query counting as one request;
+ *                                  unset or 0 disables rate limiting
+ *   SEARCH_RATE_LIMIT_BURST      - Bucket size (default: the per-minute rate)
+ *   SEARCH_RATE_LIMIT_SECRET     - Requests sending this value in the
+ *                                  X-Search-Rate-Limit-Secret header are exempt
+ *   SEARCH_RATE_LIMITER          - Optional Durable Object namespace binding;
+ *                                  without it (the default) each isolate
+ *                                  keeps its own in-memory buckets
+ *
+ * Clients are keyed by CF-Connecting-IP: the IPv4 address, or the /64 for
+ * IPv6 so rotating through one allocation does not reset the bucket. The
+ * limiter fails open: a Durable Object error never blocks a search.
+ */
+
+import { canonicalIp, formatIPv6, parseCidr } from './_ip.js';
+import { secretMatches } from './_shared.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const RATE_LIMIT_SECRET_HEADER = 'X-Search-Rate-Limit-Secret';
+
+const MAX_MEMORY_BUCKETS = 10000;  // per isolate; least recently used evicted first
+const RE_POSITIVE_INT = /^\d{1,6}$/;
+
+function positiveInt(value) {
+  const s = String(value ?? '').trim();
+  if (!RE_POSITIVE_INT.test(s)) return 0;
+  return parseInt(s, 10);
+}
+
+/**
+ * Bucket parameters from the environment, or null when disabled.
+ * @param {object} env - Function environment
+ * @returns {{capacity: number, refillPerSecond: number}|null}
+ */
+export function rateLimitConfig(env) {
+  const perMinute = positiveInt(env?.SEARCH_RATE_LIMIT_PER_MINUTE);
+  if (!perMinute) return null;
+  return {
+    capacity: positiveInt(env.SEARCH_RATE_LIMIT_BURST) || perMinute,
+    refillPerSecond: perMinute / 60,
+  };
+}
+
+/**
+ * Bucket key for a client address: IPv4 as-is, IPv6 by /64.
+ * @param {string|null} ip - CF-Connecting-IP header value
+ * @returns {string}
+ */
+export function clientKey(ip) {
+  const addr = canonicalIp(ip);
+  if (!addr) return 'unknown';
+  if (!addr.includes(':')) return addr;
+  return formatIPv6(parseCidr(addr + '/64').network) + '/64';
+}
+
+// =============================================================================
+// TOKEN BUCKET
+// =============================================================================
+
+/**
+ * Refill the bucket for the time elapsed and take up to count tokens, as
+ * many as it holds. Mutates bucket ({tokens, updated}); a new bucket
+ * starts full.
+ * @param {{tokens?: number, updated?: number}} bucket
+ * @param {number} now - Milliseconds since epoch
+ * @param {{capacity: number, refillPerSecond: number}} config
+ * @param {number} count - Tokens wanted
+ * @returns {{granted: number, retryAfter: number}} retryAfter (whole
+ *   seconds until the next token) is 0 when every token was granted
+ */
+export function takeTokens(bucket, now, config, count) {
+  const { capacity, refillPerSecond } = config;
+  if (bucket.updated === undefined) {
+    bucket.tokens = capacity;
+  } else {
+    const elapsed = Math.max(0, now - bucket.updated) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+  }
+  bucket.updated = now;
+
+  const granted = Math.min(count, Math.floor(bucket.tokens));
+  bucket.tokens -= granted;
+  if (granted === count) return { granted, retryAfter: 0 };
+  // The epsilon keeps float residue (10.000000001s) from rounding up a second
+  const wait = (1 - bucket.tokens) / refillPerSecond;
+  return { granted, retryAfter: Math.max(1, Math.ceil(wait - 1e-6)) };
+}
+
+/**
+ * Take one token if available (see takeTokens).
+ * @returns {{allowed: boolean, retryAfter: number}} retryAfter in whole seconds
+ */
+export function takeToken(bucket, now, config) {
+  const { granted, retryAfter } = takeTokens(bucket, now, config, 1);
+  return { allowed: granted === 1, retryAfter };
+}
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+const memoryBuckets = new Map();  // client key -> bucket, in recency order
+
+function takeFromMemory(client, now, config, count) {
+  let bucket = memoryBuckets.get(client);
+  if (bucket) {
+    memoryBuckets.delete(client);
+  } else {
+    bucket = {};
+    if (memoryBuckets.size >= MAX_MEMORY_BUCKETS) {
+      memoryBuckets.delete(memoryBuckets.keys().next().value);
+    }
+  }
+  memoryBuckets.set(client, bucket);
+  return takeTokens(bucket, now, config, count);
+}
+
+async function takeFromDurableObject(namespace, client, config, count) {
+  const stub = namespace.get(namespace.idFromName(client));
+  const res = await stub.fetch('https://search-rate-limiter/take', {
+    method: 'POST',
+    body: JSON.stringify({ ...config, count }),
+  });
+  if (!res.ok) throw new Error(`Rate limiter returned HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Durable Object holding one client's bucket. Exported from the Worker
+ * entry; Pages binds to it by script name. The bucket lives in memory, so
+ * an evicted object simply starts over with a full bucket.
+ */
+export class SearchRateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.bucket = {};
+  }
+
+  async fetch(request) {
+    let config;
+    try {
+      config = await request.json();
+    } catch {
+      return new Response('Bad request', { status: 400 });
+    }
+    const count = config?.count ?? 1;
+    if (!(config?.capacity >= 1) || !(config.refillPerSecond > 0) || !Number.isInteger(count) || count < 1) {
+      return new Response('Bad request', { status: 400 });
+    }
+    return Response.json(takeTokens(this.bucket, Date.now(), config, count));
+  }
+}
+
+// =============================================================================
+// REQUEST CHECK
+// =============================================================================
+
+// Take count tokens from the client's bucket; null when unlimited, exempt
+// or the limiter failed (fail open)
+async function takeForClient(request, env, count) {
+  const config = rateLimitConfig(env);
+  if (!config) return null;
+  if (env.SEARCH_RATE_LIMIT_SECRET &&
+      await secretMatches(request.headers.get(RATE_LIMIT_SECRET_HEADER), env.SEARCH_RATE_LIMIT_SECRET)) {
+    return null;
+  }
+
+  const client = clientKey(request.headers.get('CF-Connecting-IP'));
+  try {
+    return env.SEARCH_RATE_LIMITER
+      ? await takeFromDurableObject(env.SEARCH_RATE_LIMITER, client, config, count)
+      : takeFromMemory(client, Date.now(), config, count);
+  } catch (e) {
+    console.error('Search rate limiter unavailable, allowing request:', { message: e.message });
+    return null;
+  }
+}
+
+/**
+ * Take one token for the requesting client.
+ * @param {Request} request
+ * @param {object} env - Function environment
+ * @returns {Promise<{retryAfter: number}|null>} null when the request may proceed
+ */
+export async function checkRateLimit(request, env) {
+  const result = await takeForClient(request, env, 1);
+  return result && result.granted < 1 ? { retryAfter: result.retryAfter } : null;
+}
+
+/**
+ * Take one token per item of a batch (bulk search), as many as the
+ * client's bucket holds.
+ * @param {Request} request
+ * @param {object} env - Function environment
+ * @param {number} count - Items in the batch
+ * @returns {Promise<{granted: number, retryAfter: number}>} all items are
+ *   granted when the limit is disabled, exempt or unavailable
+ */
+export async function takeBatchTokens(request, env, count) {
+  return (await takeForClient(request, env, count)) || { granted: count, retryAfter: 0 };
+}
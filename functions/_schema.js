@@ -0,0 +1,76 @@
+/**
+ * Search index schema adapters for Cloudflare Pages Functions
+ *
+ * Used by:
+ *   - search.js (index loading, X-Search-Index-Adapter diagnostic header)
+ *
+ * Each adapter normalizes one major version of search-index.json into the
+ * 1.x shape that buildLookupMaps reads:
+ *   {meta, relays: [...], families: [...], lookups: {...}}
+ * Within a major, minor bumps only add fields, so they share an adapter.
+ * Supporting a new major (e.g. 2.x once allium defines it) means adding an
+ * entry to ADAPTERS that maps its layout onto the 1.x fields; no lookup or
+ * search code changes. Majors without an adapter are refused so a breaking
+ * schema change is never silently mis-rendered.
+ */
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+/**
+ * 1.x (and legacy indexes without meta.version): already the internal
+ * shape. Non-array sections are treated as empty, as before adapters.
+ */
+const V1_ADAPTER = Object.freeze({
+  name: 'v1',
+  normalize(raw) {
+    return {
+      meta: raw.meta || {},
+      relays: Array.isArray(raw.relays) ? raw.relays : [],
+      families: Array.isArray(raw.families) ? raw.families : [],
+      lookups: raw.lookups || {},
+    };
+  },
+});
+
+// Major version -> adapter
+const ADAPTERS = Object.freeze({
+  1: V1_ADAPTER,
+});
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+/**
+ * Adapter for an index's meta.version. A missing version is a legacy 1.x
+ * index.
+ * @param {object} meta - Index meta block
+ * @returns {{name: string, normalize: function}} Adapter
+ * @throws {Error} If the version's major has no adapter
+ */
+export function schemaAdapter(meta) {
+  const version = String((meta && meta.version) || '');
+  if (!version) return V1_ADAPTER;
+  const major = version.split('.')[0];
+  const adapter = Object.hasOwn(ADAPTERS, major) ? ADAPTERS[major] : null;
+  if (!adapter) {
+    throw new Error(`Unsupported search-index major version: ${version}`);
+  }
+  return adapter;
+}
+
+/**
+ * Normalize a raw index to the 1.x shape.
+ * @param {object} raw - Parsed search-index.json (or assembled shards)
+ * @returns {{adapter: string, index: object}} Adapter name and normalized index
+ * @throws {Error} If raw is not an object or its version is unsupported
+ */
+export function adaptIndex(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid index format: expected object');
+  }
+  const adapter = schemaAdapter(raw.meta);
+  return { adapter: adapter.name, index: adapter.normalize(raw) };
+}
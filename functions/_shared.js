@@ -4,6 +4,7 @@
  * Used by:
  *   - [[path]].js (content serving)
  *   - search.js (search functionality)
+ *   - _ratelimit.js (exemption secret)
  */
 
 // =============================================================================
@@ -119,3 +120,32 @@ export function escapeHtml(s) {
   return String(s).replace(HTML_ESCAPE_RE, c => HTML_ESCAPE_MAP[c]);
 }
 
+// =============================================================================
+// SECRETS
+// =============================================================================
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Compare a presented secret header with the configured secret in constant
+ * time. Both are hashed first, so the comparison never depends on where
+ * they differ or on the secret's length.
+ * @param {string|null} presented - Header value from the request
+ * @param {string} secret - Configured secret
+ * @returns {Promise<boolean>}
+ */
+export async function secretMatches(presented, secret) {
+  if (typeof presented !== 'string' || typeof secret !== 'string') return false;
+  const [a, b] = await Promise.all([presented, secret].map(s =>
+    crypto.subtle.digest('SHA-256', textEncoder.encode(s))));
+  // Workers provide timingSafeEqual; the loop below is the portable equivalent
+  if (typeof crypto.subtle.timingSafeEqual === 'function') {
+    return crypto.subtle.timingSafeEqual(a, b);
+  }
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
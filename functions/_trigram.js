@@ -0,0 +1,100 @@
+/**
+ * Trigram inverted index for substring search in Cloudflare Pages Functions
+ *
+ * Used by:
+ *   - search.js (nickname prefix/contains and contact domain scans)
+ *
+ * Each key contributes its overlapping 3-character grams; every gram maps
+ * to the ascending ids of the keys that contain it. A query of 3+
+ * characters only verifies the keys present in every one of its grams'
+ * lists, so candidates come back in key order and callers see exactly
+ * what a linear scan would have produced. Shorter queries fall back to
+ * scanning all keys.
+ */
+
+// =============================================================================
+// INDEX CONSTRUCTION
+// =============================================================================
+
+const GRAM_LENGTH = 3;
+
+/**
+ * Build the index over lowercase keys. Empty keys are skipped.
+ * @param {string[]} keys - Keys addressed by array position
+ * @returns {{keys: string[], grams: Map<string, Uint32Array>}}
+ */
+export function buildTrigramIndex(keys) {
+  const lists = new Map();
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (!key) continue;
+    for (let j = 0; j + GRAM_LENGTH <= key.length; j++) {
+      const gram = key.slice(j, j + GRAM_LENGTH);
+      let list = lists.get(gram);
+      if (!list) {
+        list = [];
+        lists.set(gram, list);
+      }
+      // Ids arrive in ascending order, so a repeated gram in one key is
+      // always the list's last entry
+      if (list[list.length - 1] !== i) list.push(i);
+    }
+  }
+
+  const grams = new Map();
+  for (const [gram, list] of lists) grams.set(gram, Uint32Array.from(list));
+  return { keys, grams };
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+// Ascending intersection of two ascending id lists
+function intersect(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] < b[j]) i++;
+    else if (a[i] > b[j]) j++;
+    else { out.push(a[i]); i++; j++; }
+  }
+  return out;
+}
+
+/**
+ * Ids of keys that contain q, in ascending order.
+ * @param {{keys: string[], grams: Map<string, Uint32Array>}} index
+ * @param {string} q - Lowercase query
+ * @returns {number[]}
+ */
+export function findSubstring(index, q) {
+  const { keys, grams } = index;
+  const out = [];
+
+  if (q.length < GRAM_LENGTH) {
+    for (let i = 0; i < keys.length; i++) {
+      if (keys[i] && keys[i].includes(q)) out.push(i);
+    }
+    return out;
+  }
+
+  const lists = [];
+  for (let j = 0; j + GRAM_LENGTH <= q.length; j++) {
+    const list = grams.get(q.slice(j, j + GRAM_LENGTH));
+    if (!list) return out;
+    lists.push(list);
+  }
+  // Start from the rarest gram so the working set stays small
+  lists.sort((a, b) => a.length - b.length);
+  let candidates = lists[0];
+  for (let k = 1; k < lists.length && candidates.length > 0; k++) {
+    candidates = intersect(candidates, lists[k]);
+  }
+
+  // Sharing every gram does not imply adjacency ("abcxbcd" vs "abcd")
+  for (const i of candidates) {
+    if (keys[i].includes(q)) out.push(i);
+  }
+  return out;
+}
@@ -3,6 +3,24 @@
  * 
  * Handles /search?q=... requests, searches the static search-index.json,
  * and returns redirects or disambiguation/not-found pages.
+ *
+ * Search modes:
+ *   - default: first matching step wins (country before nickname, ...)
+ *   - ?mode=all: candidates from every step, grouped by type; redirects
+ *     only when exactly one candidate exists
+ *
+ * Response formats:
+ *   - HTML (default): 302 redirect or rendered page
+ *   - JSON (`Accept: application/json` or `?format=json`): the resolved
+ *     search() result with the same validation and redirect allowlist
+ *   - HTML pages are localized: ?lang=, then Accept-Language, then
+ *     English (catalog in _i18n.js)
+ *
+ * Other routes (dispatched by workers/search.js; on Pages by [[path]].js):
+ *   - /search/suggest?q=...: OpenSearch Suggestions JSON
+ *   - /search/_health: index readiness JSON
+ *   - /opensearch.xml: OpenSearch description for browser search engines
+ *   - POST /search/bulk: resolution status for a JSON array of queries
  * 
  * Performance Optimizations:
  *   - Lookup maps built once per index load (O(1) lookups vs O(n) scans)
@@ -11,6 +29,11 @@
  *   - Single-pass index processing
  *   - Precomputed lowercase nicknames (avoids repeated toLowerCase in scans)
  *   - Combined linear scans (prefix + contains in one pass)
+ *   - Trigram indexes for nickname and contact domain substring search
+ *   - Sharded index: cold full-fingerprint lookups and suggestions parse
+ *     one shard instead of the whole index
+ *   - Resolved responses cached in the Cache API per index generation, so
+ *     repeated queries skip search() and AROI storage probes
  * 
  * Security Features:
  *   - Input validation (length limit, character allowlist)
@@ -19,27 +42,67 @@
  *   - Security headers (CSP, X-Frame-Options, etc.)
  *   - ReDoS-safe regex patterns (all O(n) complexity)
  *   - Generic error messages (no internal details exposed)
+ *   - Optional per-client rate limiting of /search, /search/suggest and
+ *     /search/bulk (429 with Retry-After, see _ratelimit.js)
  */
 
-import { CONTENT_TYPE_HTML, SECURITY_HEADERS_HTML, escapeHtml } from './_shared.js';
+import { CONTENT_TYPE_HTML, MIME_TYPES, SECURITY_HEADERS_HTML, escapeHtml, secretMatches } from './_shared.js';
+import { canonicalIp, cidrContains, parseCidr, parseIp } from './_ip.js';
+import { buildTrigramIndex, findSubstring } from './_trigram.js';
+import { DEFAULT_LANG, SUPPORTED_LANGS, foldName, localizedCountryNames, negotiateLang, t } from './_i18n.js';
+import { checkRateLimit, takeBatchTokens } from './_ratelimit.js';
+import { adaptIndex, schemaAdapter } from './_schema.js';
 
 // =============================================================================
 // PRECOMPUTED CONSTANTS (computed once at module load)
 // =============================================================================
 
 const MAX_QUERY_LENGTH = 100;
+const MAX_PASTED_QUERY_LENGTH = 2048;  // raw input cap before pasted URLs are reduced to an identifier
+const INDEX_PATH = '/search-index.json';
 const INDEX_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const INDEX_RETRY_MS = 30 * 1000;          // retry interval after a failed refresh
 const MAX_RESULTS = 20;
+const MAX_PAGE = 1000;
+const MAX_SUGGESTIONS = 10;
+const MAX_DID_YOU_MEAN = 5;
+const MAX_FAMILY_CARDS = 10;
+const MAX_FAMILY_CARD_MEMBERS = 5;
+const MAX_SPREAD_SHOWN = 3;  // countries / ASes listed on a family card before "+N"
+const MIN_DID_YOU_MEAN_LENGTH = 3;
+const MIN_AS_NAME_QUERY_LENGTH = 3;
+const MIN_DOMAIN_CONTAINS_LENGTH = 3;
+const SUGGEST_CACHE_TTL_S = 300;
+const MAX_BULK_QUERIES = 500;
+const MAX_BULK_BODY_BYTES = 64 * 1024;
+const MAX_BULK_AROI_PROBES = 20;  // storage probes per bulk request (pre-v1.5 index)
+const RESOLUTION_CACHE_TTL_S = 3600;  // keys are per index generation, so this only bounds storage
 
 // Precompiled regex patterns (ReDoS-safe, all O(n) complexity)
-const RE_ALLOWED_CHARS = /^[\w\s.\-:@]+$/;
+const RE_ALLOWED_CHARS = /^[\p{L}\p{M}\w\s.\-:@/[\]]+$/u;  // letters for localized country names
 const RE_FULL_FINGERPRINT = /^[A-Fa-f0-9]{40}$/;
 const RE_PARTIAL_FINGERPRINT = /^[A-Fa-f0-9]{6,39}$/;
+const RE_ED25519_KEY = /^[A-Za-z0-9+/]{43}$/;  // unpadded base64 Ed25519 identity key
+const RE_PREFIXED_FINGERPRINT = /^\$([A-Fa-f0-9]{6,40})(?:[~=]\w{1,19})?$/;  // $FP, $FP~nick, $FP=nick
+const RE_GROUPED_FINGERPRINT = /^(?:\w{1,19}\s+)?((?:[A-Fa-f0-9]{4}\s+){9}[A-Fa-f0-9]{4})$/;  // [nick] ABCD EF01 ...
+const RE_URL = /^https?:\/\//i;
+const RE_CONTACT_TOKEN = /^(email|mailto|url):(\S+)$/i;  // CIISS email:/url: (and mailto:) tokens
+const RE_AT_TOKEN = /\[(?:at)?\]/gi;  // CIISS "tor[]example.org", also "[at]"
+const RE_DOT_TOKEN = /\[dot\]/gi;
+const RE_CONTACT_DOMAIN = /^[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+$/u;
+const RE_WHITESPACE = /\s+/g;
 const RE_AS_NUMBER = /^(?:AS)?(\d{1,10})$/i;
 const RE_COUNTRY_CODE = /^[A-Za-z]{2}$/;
-const RE_IPV4 = /^(?:\d{1,3}\.){3}\d{1,3}$/;
-const RE_IPV6_CHARS = /^[A-Fa-f0-9:]+$/;
+const RE_IP_CHARS = /^[A-Fa-f0-9:.[\]]+$/;  // address, optionally [bracketed] and/or :port
+const RE_CIDR_CHARS = /^[A-Fa-f0-9:.]+\/\d{1,3}$/;
+const RE_FILTER_TERM = /^([A-Za-z][A-Za-z_]*):([^:\s]*)$/;
+const RE_PAGE = /^\d{1,4}$/;
+const RE_DATE = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;  // YYYY, YYYY-MM, YYYY-MM-DD
+const RE_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const RE_BARE_DATE = /^\d{4}-\d{2}(?:-\d{2})?$/;  // bare years are AS numbers
+const RE_NON_ALNUM = /[^a-z0-9]+/g;
 const RE_SAFE_PATH = /^[\w.-]+$/;  // Allow dots for domain paths
+const RE_SHARD_PATH = /^(?:[\w-]+\/)*[\w-]+\.json$/;  // relative, no "..", no scheme
 
 // Fallback Sets for O(1) membership lookups (used when index doesn't provide them)
 const DEFAULT_PLATFORMS = Object.freeze(['linux', 'freebsd', 'windows', 'darwin', 'openbsd', 'netbsd', 'sunos']);
@@ -70,9 +133,18 @@ const SAFE_REDIRECT_PREFIXES = Object.freeze(['/relay/', '/family/', '/contact/'
 // Precomputed frozen headers object (reused for all HTML responses)
 const RESPONSE_HEADERS = Object.freeze({
   'Content-Type': CONTENT_TYPE_HTML,
+  'Vary': 'Accept, Accept-Language',
   ...SECURITY_HEADERS_HTML,
 });
 
+// Precomputed frozen headers object (reused for all JSON responses)
+const JSON_RESPONSE_HEADERS = Object.freeze({
+  'Content-Type': `${MIME_TYPES.json}; charset=utf-8`,
+  'Vary': 'Accept',
+  'X-Content-Type-Options': 'nosniff',
+  'Cache-Control': 'no-store',
+});
+
 // Result type to URL path segment (DRY: single source of truth)
 // Empty string = ID is the full path (e.g., aroi domain "1aeo.com" → /1aeo.com/)
 const RESULT_TYPE_PATHS = Object.freeze({
@@ -84,14 +156,22 @@ const RESULT_TYPE_PATHS = Object.freeze({
   country: 'country',
   platform: 'platform',
   flag: 'flag',
+  first_seen: 'first_seen',
 });
 
+// OpenSearch media types (https://github.com/dewitt/opensearch)
+const CONTENT_TYPE_SUGGESTIONS = 'application/x-suggestions+json; charset=utf-8';
+const CONTENT_TYPE_OPENSEARCH = 'application/opensearchdescription+xml; charset=utf-8';
+
 // Error codes for detailed diagnostics
 const ERR = Object.freeze({
   INDEX_404: 'INDEX_404',
   INDEX_HTTP: 'INDEX_HTTP',
   INDEX_JSON: 'INDEX_JSON',
   INDEX_SCHEMA: 'INDEX_SCHEMA',
+  QUERY_INVALID: 'QUERY_INVALID',
+  RATE_LIMITED: 'RATE_LIMITED',
+  REDIRECT_BLOCKED: 'REDIRECT_BLOCKED',
   UNKNOWN: 'UNKNOWN',
 });
 
@@ -107,11 +187,14 @@ function searchError(code, message, details) {
 // HTML TEMPLATES (self-contained, no external CSS dependencies)
 // =============================================================================
 
-const HTML_HEAD_START = `<!DOCTYPE html>
-<html lang="en">
+const HTML_DOCTYPE = `<!DOCTYPE html>
+<html lang="`;
+
+const HTML_HEAD_START = `">
 <head>
 <meta charset="utf-8">
 <meta name="viewport" content="width=device-width,initial-scale=1">
+<link rel="search" type="application/opensearchdescription+xml" href="/opensearch.xml" title="Allium">
 <title>`;
 
 // Self-contained CSS - no Bootstrap dependency
@@ -167,36 +250,45 @@ ul { padding-left: 1.5rem; } li { margin-bottom: 0.5rem; }
 .back { margin: 0 0 16px 0; } .back a { color: #6c757d; text-decoration: none; } .back a:hover { color: #0066cc; }
 .ciiss-ver { font-size: 0.7em; padding: 1px 5px; margin-left: 6px; border-radius: 3px; font-weight: 600; color: #fff; vertical-align: middle; letter-spacing: 0.02em; }
 .ciiss-ver-2 { background: #6c757d; } .ciiss-ver-3 { background: #198754; }
+.mode-toggle { display: block; margin-top: 8px; font-size: 0.9em; color: #6c757d; }
+.members { display: block; font-size: 0.85em; color: #495057; margin-top: 2px; }
+.pager { display: flex; justify-content: space-between; margin-top: 16px; } .pager span { color: #6c757d; }
 </style>
 </head>
 <body>
 `;
 
-const HTML_FORM_START = `<div class="search-box">
+// Per-language page fragments (see _i18n.js), built once at module load
+const HTML_FRAGMENTS = Object.freeze(Object.fromEntries(SUPPORTED_LANGS.map(lang => [lang, Object.freeze({
+  back: `<p class="back"><a href="/">${t(lang, 'page.home')}</a></p>\n`,
+
+  formStart: `<div class="search-box">
 <form action="/search" method="get">
 <div class="input-group">
-<input type="text" name="q" class="form-control" placeholder="Search by fingerprint, nickname, AS, country, IP..." value="`;
+<input type="text" name="q" class="form-control" placeholder="${t(lang, 'form.placeholder')}" value="`,
 
-const HTML_FORM_END = `" maxlength="${MAX_QUERY_LENGTH}" autofocus>
-<button class="btn" type="submit">Search</button>
+  formEnd: `" maxlength="${MAX_QUERY_LENGTH}" autofocus>
+<button class="btn" type="submit">${t(lang, 'form.submit')}</button>
 </div>
-</form>
-</div>
-`;
+<label class="mode-toggle"><input type="checkbox" name="mode" value="all"`,
 
-const HTML_FOOTER = `<p class="back"><a href="/">← Back to home</a></p>
+  formClose: `> ${t(lang, 'form.modeAll')}</label>
+`,
+
+  footer: `<p class="back"><a href="/">${t(lang, 'page.home')}</a></p>
 </body>
-</html>`;
+</html>`,
 
-const HTML_TIPS = `<h4>Search Tips</h4>
+  tips: `<h4>${t(lang, 'tips.title')}</h4>
 <ul>
-<li><strong>Fingerprint:</strong> 6+ hex characters (e.g., <code>ABCD1234</code>)</li>
-<li><strong>Nickname:</strong> Relay name (e.g., <code>MyRelay</code>)</li>
-<li><strong>AS Number:</strong> With or without prefix (e.g., <code>AS24940</code> or <code>24940</code>)</li>
-<li><strong>Country:</strong> Code or name (e.g., <code>de</code> or <code>Germany</code>)</li>
-<li><strong>IP Address:</strong> IPv4 or IPv6</li>
-<li><strong>Contact:</strong> AROI domain (e.g., <code>example.org</code>)</li>
+${['fingerprint', 'nickname', 'asNumber', 'asName', 'country', 'ip', 'contact', 'firstSeen', 'filters']
+    .map(tip => `<li>${t(lang, 'tips.' + tip)}</li>`).join('\n')}
 </ul>
+`,
+})])));
+
+const HTML_FORM_END = `</form>
+</div>
 `;
 
 // =============================================================================
@@ -205,13 +297,27 @@ const HTML_TIPS = `<h4>Search Tips</h4>
 
 let cachedIndex = null;
 let cacheExpiry = 0;
+let cachedEtag = null;        // ETag of the cached index (If-None-Match revalidation)
+let refreshPromise = null;    // in-flight refresh, shared by concurrent requests
+let lastRefreshError = null;  // set while serving the last good index after a failed refresh
+let cachedManifest = null;    // sharded manifest, kept until the full index is built
+let manifestEtag = null;      // ETag the cached manifest and shards belong to
+let manifestExpiry = 0;       // when the cached manifest is revalidated
+let manifestPromise = null;   // in-flight manifest fetch, shared by concurrent requests
+let indexSharded = false;     // search-index.json was last read as a manifest
+let indexCheckedAt = 0;       // last time the served index was fetched or revalidated
+let indexLoadedAt = 0;        // when the served index was built
+let lastLoadMs = null;        // fetch + build time of the served index
+let lastLoadError = null;     // {code, message, at} of the latest failed load (/search/_health)
+const shardJson = new Map();      // shard path -> Promise<parsed shard JSON>
+const shardIndexes = new Map();   // fp/nick shard path -> partial lookup structure
 
 /**
  * Build optimized lookup structures from raw index.
  * Single pass over each array for efficiency.
  *
  * Schema: Allium v1.6 search-index.json
- *   - relays: [{f, n, a, c, as, cc, ip, fam, vn?}]
+ *   - relays: [{f, n, a, c, as, cc, ip, fam, vn?, fl?, pf?, fs?}]
  *   - families: [{id, sz, nn, px, pxg, a, c, as, cc, fs, v?, v3p?}]
  *   - lookups: {as_names, country_names, platforms, flags,
  *               validated_aroi_domains?, v3_thresholds?}
@@ -225,52 +331,45 @@ let cacheExpiry = 0;
  *   1.6 vn per-relay (CIISS v2/v3), v3p per-family,
  *       v3_thresholds lookup (allium PR #207)
  *
+ * Optional per-relay fields (not yet emitted by allium, used by filter
+ * queries when present): fl = flag names, pf = platform name,
+ * fs = first-seen date (YYYY-MM-DD, anything after the date is ignored).
+ *
  * Forward-compat policy: unknown top-level fields are ignored; missing
- * sparse fields are treated as absent (not falsy). Within the 1.x major,
- * minor bumps are accepted silently. A 2.x major bump is rejected by
- * the major-version guard below so a breaking schema change cannot be
+ * sparse fields are treated as absent (not falsy). Other majors are first
+ * normalized to this shape by their schema adapter (_schema.js); a major
+ * without an adapter is rejected so a breaking schema change cannot be
  * silently mis-rendered.
  *
  * @param {object} raw - Raw index data from search-index.json
+ * @param {object} [baseKey] - Raw base shard the families and lookups come
+ *   from; shard indexes built from the same one share their base maps
  * @returns {object} Frozen lookup structure
  * @throws {Error} If index format is invalid or major version unsupported
  */
-function buildLookupMaps(raw) {
-  // Schema validation
-  if (!raw || typeof raw !== 'object') {
-    throw new Error('Invalid index format: expected object');
-  }
-
-  // Major-version guard (v1.6+ policy). Within 1.x we tolerate unknown
-  // fields; a 2.x bump implies a breaking change so refuse to operate
-  // on potentially mis-interpreted data. Missing meta.version is
-  // tolerated (legacy indexes).
-  const metaVer = String((raw.meta && raw.meta.version) || '');
-  if (metaVer) {
-    const major = metaVer.split('.')[0];
-    if (major !== '1') {
-      throw new Error(`Unsupported search-index major version: ${metaVer}`);
-    }
+function buildLookupMaps(raw, baseKey) {
+  // Schema validation and normalization to the 1.x shape
+  const { adapter, index } = adaptIndex(raw);
+  const { relays, families, lookups } = index;
+
+  let base = baseKey ? baseMapsCache.get(baseKey) : null;
+  if (!base) {
+    base = buildBaseMaps(families, lookups);
+    if (baseKey) baseMapsCache.set(baseKey, base);
   }
   
-  const relays = Array.isArray(raw.relays) ? raw.relays : [];
-  const families = Array.isArray(raw.families) ? raw.families : [];
-  const lookups = raw.lookups || {};
-  
   // O(1) lookup maps
   const fpMap = new Map();
+  const edMap = new Map();  // Ed25519 identity key -> relay (optional ed field)
   const nickMultiMap = new Map();  // lowercase nickname -> [relays] (for disambiguation)
   const ipMap = new Map();
   const asSet = new Set();
-  const asNameMap = new Map();
+  const asRelayCount = new Map();  // AS number -> relay count (AS name results)
   const ccSet = new Set();
-  const ccNameMap = new Map();
+  const firstSeenDayCount = new Map();  // YYYY-MM-DD -> relays first seen that day
   const contactDomainMap = new Map();
-  const contactDomainPrefixMap = new Map();
+  const contactDomainPrefixMap = new Map();  // first label -> [contacts] (foo.org, foo.net)
   const contactHashMap = new Map();
-  const familyIdMap = new Map();
-  const familyPrefixMap = new Map();
-  const familyNickMap = new Map();
   
   // Helper: extract domain prefix (e.g., "1aeo.com" -> "1aeo")
   const getDomainPrefix = (domain) => {
@@ -280,6 +379,9 @@ function buildLookupMaps(raw) {
   
   // Precomputed lowercase nicknames for efficient scanning
   const nickLower = new Array(relays.length);
+  // Whether any relay carries the optional filter fields
+  let hasRelayFlags = false;
+  let hasRelayPlatforms = false;
 
   // Single pass over relays
   for (let i = 0; i < relays.length; i++) {
@@ -287,29 +389,85 @@ function buildLookupMaps(raw) {
     nickLower[i] = r.n ? r.n.toLowerCase() : '';
     
     if (r.f) fpMap.set(r.f, r);
+    if (typeof r.ed === 'string') edMap.set(ed25519Key(r.ed) || r.ed, r);
     if (r.n) {
       const nLow = nickLower[i];
       if (!nickMultiMap.has(nLow)) nickMultiMap.set(nLow, []);
       nickMultiMap.get(nLow).push(r);
     }
-    if (r.as) asSet.add(r.as.toUpperCase());
+    if (r.as) {
+      const asUp = r.as.toUpperCase();
+      asSet.add(asUp);
+      asRelayCount.set(asUp, (asRelayCount.get(asUp) || 0) + 1);
+    }
     if (r.cc) ccSet.add(r.cc.toLowerCase());
+    if (Array.isArray(r.fl)) hasRelayFlags = true;
+    if (r.pf) hasRelayPlatforms = true;
+    const fsDay = firstSeenDay(r);
+    if (fsDay) firstSeenDayCount.set(fsDay, (firstSeenDayCount.get(fsDay) || 0) + 1);
     if (r.ip) {
       const ips = Array.isArray(r.ip) ? r.ip : [r.ip];
-      for (let j = 0; j < ips.length; j++) ipMap.set(ips[j], r);
+      // Canonical keys (RFC 5952, IPv4-mapped unwrapped) so any written
+      // form of the address finds the relay
+      for (let j = 0; j < ips.length; j++) ipMap.set(canonicalIp(ips[j]) || ips[j], r);
     }
     if (r.a && r.c) {
       const domainLow = r.a.toLowerCase();
       const contact = { domain: r.a, hash: r.c };  // Store both, domain is primary
       contactDomainMap.set(domainLow, contact);
       contactHashMap.set(r.c.toLowerCase(), contact);
-      const prefix = getDomainPrefix(domainLow);
-      if (prefix && !contactDomainPrefixMap.has(prefix)) {
-        contactDomainPrefixMap.set(prefix, contact);
-      }
     }
   }
 
+  // Family contacts go in after relay contacts, so a family's entry wins
+  for (const [domainLow, contact] of base.familyDomains) contactDomainMap.set(domainLow, contact);
+  for (const [hashLow, contact] of base.familyHashes) contactHashMap.set(hashLow, contact);
+
+  // Domain prefixes, once per domain so colliding operators are all kept
+  for (const [domainLow, contact] of contactDomainMap) {
+    const prefix = getDomainPrefix(domainLow);
+    if (!prefix) continue;
+    if (!contactDomainPrefixMap.has(prefix)) contactDomainPrefixMap.set(prefix, []);
+    contactDomainPrefixMap.get(prefix).push(contact);
+  }
+
+  // AS numbers and country codes from lookups
+  for (const asNum of base.asNameMap.keys()) asSet.add(asNum);
+  for (const codeLow of base.ccDisplayMap.keys()) ccSet.add(codeLow);
+
+  // Substring search over nicknames and contact domains (ids = positions)
+  const nickGrams = buildTrigramIndex(nickLower);
+  const contactDomainGrams = buildTrigramIndex([...contactDomainMap.keys()]);
+
+  return Object.freeze({
+    ...base,
+    relays, nickLower, nickGrams, fpMap, edMap, nickMultiMap, ipMap,
+    asSet, asRelayCount, ccSet,
+    contactDomainMap, contactDomainPrefixMap, contactHashMap, contactDomainGrams,
+    hasRelayFlags, hasRelayPlatforms, firstSeenDayCount, adapter,
+    hasRelayFirstSeen: firstSeenDayCount.size > 0,
+    meta: index.meta,
+  });
+}
+
+// Base maps per raw base shard, built lazily (sharded indexes only)
+const baseMapsCache = new WeakMap();
+
+/**
+ * Lookup maps that depend only on families and the lookups table. Every
+ * shard index built from one manifest generation shares them.
+ * @returns {object} Frozen base structure, spread into the lookup structure
+ */
+function buildBaseMaps(families, lookups) {
+  const familyIdMap = new Map();
+  const familyPrefixMap = new Map();
+  const familyNickMap = new Map();
+  const familyDomains = new Map();  // lowercase domain -> contact
+  const familyHashes = new Map();   // lowercase contact hash -> contact
+  const asNameMap = new Map();
+  const ccNameMap = new Map();
+  const ccDisplayMap = new Map();  // lowercase code -> display name (suggestions)
+
   // Process families
   for (let i = 0; i < families.length; i++) {
     const f = families[i];
@@ -323,27 +481,25 @@ function buildLookupMaps(raw) {
     if (f.a && f.c && Array.isArray(f.c) && f.c.length > 0) {
       const domainLow = f.a.toLowerCase();
       const contact = { domain: f.a, hash: f.c[0] };  // Store both, domain is primary
-      contactDomainMap.set(domainLow, contact);
-      for (const hash of f.c) contactHashMap.set(hash.toLowerCase(), contact);
-      const prefix = getDomainPrefix(domainLow);
-      if (prefix && !contactDomainPrefixMap.has(prefix)) {
-        contactDomainPrefixMap.set(prefix, contact);
-      }
+      familyDomains.set(domainLow, contact);
+      for (const hash of f.c) familyHashes.set(hash.toLowerCase(), contact);
     }
   }
 
-  // AS names from lookups
+  // AS names from lookups. Names are also kept as space-padded word lists
+  // ("hetzner online gmbh" -> " hetzner online gmbh") for word-prefix search.
+  const asNameWords = [];
   for (const [asNum, asName] of Object.entries(lookups.as_names || {})) {
     const norm = asNum.toUpperCase();
-    asSet.add(norm);
     asNameMap.set(norm, asName);
+    if (typeof asName === 'string') asNameWords.push([norm, ' ' + normalizeWords(asName)]);
   }
 
   // Country names from lookups
   for (const [code, name] of Object.entries(lookups.country_names || {})) {
     const codeLow = code.toLowerCase();
-    ccSet.add(codeLow);
     ccNameMap.set(name.toLowerCase(), codeLow);
+    ccDisplayMap.set(codeLow, name);
   }
   
   // Platforms/flags from lookups or defaults
@@ -357,77 +513,467 @@ function buildLookupMaps(raw) {
     : null;  // null indicates index doesn't have this data (fallback to storage check)
 
   return Object.freeze({
-    relays, families, nickLower, fpMap, nickMultiMap, ipMap,
-    asSet, asNameMap, ccSet, ccNameMap,
-    contactDomainMap, contactDomainPrefixMap, contactHashMap,
-    familyIdMap, familyPrefixMap, familyNickMap, platformSet, flagSet,
-    validatedAroiSet,
+    families, familyIdMap, familyPrefixMap, familyNickMap,
+    familyDomains, familyHashes, asNameMap, asNameWords, ccNameMap, ccDisplayMap,
+    platformSet, flagSet, validatedAroiSet,
   });
 }
 
-async function loadIndex(origin, env) {
-  const now = Date.now();
-  if (cachedIndex && now < cacheExpiry) return cachedIndex;
-  
+// Lowercase and collapse punctuation to single spaces ("DIGITALOCEAN-ASN" -> "digitalocean asn")
+function normalizeWords(s) {
+  return s.toLowerCase().replace(RE_NON_ALNUM, ' ').trim();
+}
+
+// Relay first-seen day (YYYY-MM-DD) from the optional fs field, or ''
+function firstSeenDay(r) {
+  return typeof r.fs === 'string' && RE_DAY.test(r.fs.slice(0, 10)) ? r.fs.slice(0, 10) : '';
+}
+
+function fetchIndexAsset(env, request, edgeCache = true) {
+  if (env?.ALLIUM_ASSETS) {
+    // Workers Static Assets: bind search to the index captured in this exact
+    // Worker version. This avoids version skew and does not use R2 or an
+    // external HTTP origin.
+    return env.ALLIUM_ASSETS.fetch(request);
+  }
+  // Cloudflare Pages compatibility during the migration. A sharded index is
+  // read past the edge cache, which keeps each file on its own 5-minute
+  // clock and could pair a manifest with shards from another deploy.
+  return edgeCache
+    ? fetch(request, { cf: { cacheTtl: 300, cacheEverything: true } })
+    : fetch(request, { cache: 'no-store' });
+}
+
+/**
+ * ETag of search-index.json from a HEAD request, so a cold isolate can name
+ * the index generation without downloading or parsing the index.
+ * @returns {Promise<string|null>} null when unavailable or not sent
+ */
+async function headIndexEtag(origin, env) {
+  try {
+    const res = await fetchIndexAsset(env, new Request(`${origin}${INDEX_PATH}`, { method: 'HEAD' }), !indexSharded);
+    return res.ok ? res.headers.get('ETag') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch search-index.json (or a shard of it), conditionally when an ETag
+ * is known.
+ * @param {string} [path] - Site-relative path, INDEX_PATH by default
+ * @param {boolean} [edgeCache] - Allow the Pages edge cache
+ * @returns {Promise<Response>} 2xx or 304 response
+ * @throws {Error} searchError with INDEX_404 / INDEX_HTTP
+ */
+async function fetchIndex(origin, env, etag, path = INDEX_PATH, edgeCache = true) {
   let res;
   try {
-    const indexRequest = new Request(`${origin}/search-index.json`);
-    if (env?.ALLIUM_ASSETS) {
-      // Workers Static Assets: bind search to the index captured in this exact
-      // Worker version. This avoids version skew and does not use R2 or an
-      // external HTTP origin.
-      res = await env.ALLIUM_ASSETS.fetch(indexRequest);
-    } else {
-      // Cloudflare Pages compatibility during the migration.
-      res = await fetch(indexRequest, {
-        cf: { cacheTtl: 300, cacheEverything: true },
-      });
-    }
+    res = await fetchIndexAsset(env, new Request(`${origin}${path}`, {
+      headers: etag ? { 'If-None-Match': etag } : {},
+    }), edgeCache);
   } catch (e) {
     throw searchError(ERR.INDEX_HTTP, 'Network error fetching index', e.message);
   }
   
+  if (res.status === 304 && etag) return res;
   if (res.status === 404) {
-    throw searchError(ERR.INDEX_404, 'search-index.json not found (HTTP 404)',
+    throw searchError(ERR.INDEX_404, `${path.slice(1)} not found (HTTP 404)`,
       'Index file missing. Site may be updating or allium failed to generate it.');
   }
   if (!res.ok) {
     throw searchError(ERR.INDEX_HTTP, `Index fetch failed (HTTP ${res.status})`,
       `Server returned ${res.status} ${res.statusText || ''}.`);
   }
-  
-  let raw;
+  return res;
+}
+
+async function readIndexJson(res) {
   try {
-    raw = await res.json();
+    return await res.json();
   } catch (e) {
     throw searchError(ERR.INDEX_JSON, 'Failed to parse index as JSON',
       `${e.message}. File may be corrupted or truncated.`);
   }
-  
+}
+
+// Run a schema step, reporting failures as INDEX_SCHEMA
+function checkSchema(step) {
   try {
-    cachedIndex = buildLookupMaps(raw);
+    return step();
   } catch (e) {
     throw searchError(ERR.INDEX_SCHEMA, 'Index schema validation failed',
       `${e.message}. Index version may not match search function.`);
   }
-  
-  cacheExpiry = now + INDEX_CACHE_TTL_MS;
-  return cachedIndex;
+}
+
+// =============================================================================
+// SHARDED INDEX
+// =============================================================================
+//
+// search-index.json may instead be a small manifest:
+//   {meta, shards: {base, fp: {"0".."F": path}, nick: {"a".."z", "0".."9", "_": path}}}
+// base holds {families, lookups}; every fp and nick shard holds {relays}.
+// fp shards partition relays by the first fingerprint character, nick
+// shards by the first nickname character (lowercase, "_" for the rest).
+// Allium rewrites the manifest whenever a shard changes, so the manifest
+// ETag covers the whole set.
+//
+// A cold isolate answers full-fingerprint queries from base + one fp shard
+// and suggestions from base + one nick shard, and warms the full index in
+// the background. Everything else loads base + all fp shards, which gives
+// the same lookup structure as the monolithic file.
+
+function isShardedManifest(raw) {
+  return Boolean(raw && typeof raw === 'object' && raw.shards && !Array.isArray(raw.relays));
+}
+
+/**
+ * Fetch and parse search-index.json. Once it is known to be a manifest,
+ * Pages reads it past the edge cache like its shards; a manifest first
+ * seen through that cache is read again the same way.
+ * @returns {Promise<{res: Response, raw: object|null}>} raw is null on 304
+ */
+async function fetchIndexRoot(origin, env, etag) {
+  let res = await fetchIndex(origin, env, etag, INDEX_PATH, !indexSharded);
+  if (res.status === 304) return { res, raw: null };
+  let raw = await readIndexJson(res);
+  if (isShardedManifest(raw) && !indexSharded && !env?.ALLIUM_ASSETS) {
+    res = await fetchIndex(origin, env, null, INDEX_PATH, false);
+    raw = await readIndexJson(res);
+  }
+  indexSharded = isShardedManifest(raw);
+  return { res, raw };
+}
+
+// Shard paths come from the index itself; only plain relative .json paths
+// under the site root are fetched.
+function shardPath(path) {
+  if (typeof path !== 'string' || !RE_SHARD_PATH.test(path)) {
+    throw searchError(ERR.INDEX_SCHEMA, 'Index schema validation failed',
+      `Invalid shard path ${JSON.stringify(path)} in sharded search-index.json.`);
+  }
+  return '/' + path;
+}
+
+function fetchShard(origin, env, path) {
+  let pending = shardJson.get(path);
+  if (!pending) {
+    pending = fetchIndex(origin, env, null, shardPath(path), false).then(readIndexJson);
+    pending.catch(() => shardJson.delete(path));
+    shardJson.set(path, pending);
+  }
+  return pending;
+}
+
+function forgetShards() {
+  cachedManifest = null;
+  manifestEtag = null;
+  manifestExpiry = 0;
+  shardJson.clear();
+  shardIndexes.clear();
+}
+
+/**
+ * Assemble a monolithic-shaped index from base + every fp shard.
+ * Relays are concatenated in manifest key order.
+ */
+async function assembleShardedIndex(origin, env, manifest) {
+  const fpPaths = Object.keys(manifest.shards.fp || {}).sort()
+    .map((key) => manifest.shards.fp[key]);
+  const [base, ...parts] = await Promise.all(
+    [manifest.shards.base, ...fpPaths].map((path) => fetchShard(origin, env, path)));
+  return {
+    meta: manifest.meta,
+    relays: parts.flatMap((part) => (Array.isArray(part?.relays) ? part.relays : [])),
+    families: base?.families,
+    lookups: base?.lookups,
+  };
+}
+
+/**
+ * Manifest for a cold isolate, fetched once for concurrent callers. It
+ * follows the index cache rules: revalidated with If-None-Match after
+ * INDEX_CACHE_TTL_MS, and kept (marked stale) for another INDEX_RETRY_MS
+ * when that fails.
+ */
+async function getManifest(origin, env) {
+  if (cachedManifest && Date.now() < manifestExpiry) return cachedManifest;
+  if (!manifestPromise) {
+    manifestPromise = fetchManifest(origin, env).finally(() => { manifestPromise = null; });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Fetch or revalidate the manifest. A monolithic index is adopted as the
+ * full cache right away (returns null) so the fetch is not wasted.
+ */
+async function fetchManifest(origin, env) {
+  const now = Date.now();
+  try {
+    const { res, raw } = await fetchIndexRoot(origin, env, cachedManifest ? manifestEtag : null);
+    if (res.status === 304) {
+      indexCheckedAt = now;
+      manifestExpiry = now + INDEX_CACHE_TTL_MS;
+      lastRefreshError = null;
+      return cachedManifest;
+    }
+
+    const etag = res.headers.get('ETag');
+    if (!isShardedManifest(raw)) {
+      adoptIndex(checkSchema(() => buildLookupMaps(raw)), etag, now);
+      return null;
+    }
+    checkSchema(() => schemaAdapter(raw.meta));
+    // Shards of a previous manifest are not mixed with the new one
+    if (!etag || etag !== manifestEtag) forgetShards();
+    cachedManifest = raw;
+    manifestEtag = etag;
+    manifestExpiry = now + INDEX_CACHE_TTL_MS;
+    indexCheckedAt = now;
+    lastRefreshError = null;
+    return raw;
+  } catch (e) {
+    if (!cachedManifest) throw e;
+    lastRefreshError = e;
+    manifestExpiry = now + INDEX_RETRY_MS;
+    console.error('Search index manifest refresh failed, using last manifest:', {
+      code: e.code || ERR.UNKNOWN,
+      message: e.message,
+    });
+    return cachedManifest;
+  }
+}
+
+/**
+ * Partial lookup structure for one fp or nick shard, or null when the
+ * index is not sharded, has no such shard, or the shard fails to load
+ * (callers then fall back to the full index).
+ */
+async function loadShardIndex(origin, env, kind, key) {
+  try {
+    const manifest = await getManifest(origin, env);
+    const path = manifest?.shards?.[kind]?.[key];
+    if (!path) return null;
+    let idx = shardIndexes.get(path);
+    if (!idx) {
+      const [base, shard] = await Promise.all([
+        fetchShard(origin, env, manifest.shards.base),
+        fetchShard(origin, env, path),
+      ]);
+      idx = checkSchema(() => buildLookupMaps({
+        meta: manifest.meta,
+        relays: shard?.relays,
+        families: base?.families,
+        lookups: base?.lookups,
+      }, base || undefined));
+      shardIndexes.set(path, idx);
+    }
+    return idx;
+  } catch (e) {
+    console.error('Search index shard load failed, using full index:', {
+      code: e.code || ERR.UNKNOWN,
+      message: e.message,
+    });
+    return null;
+  }
+}
+
+function nickShardKey(q) {
+  const c = q.charAt(0).toLowerCase();
+  return /[a-z0-9]/.test(c) ? c : '_';
+}
+
+/**
+ * Cold-start shortcut: the shard that fully answers this request, or null.
+ * Full fingerprints (relay or family id) are decided by one fp shard plus
+ * base; suggestions are best-effort from one nick shard. The full index is
+ * warmed in the background when waitUntil is available.
+ */
+async function loadColdShard(origin, env, waitUntil, kind, key) {
+  if (cachedIndex) return null;
+  const idx = await loadShardIndex(origin, env, kind, key);
+  if (idx && !cachedIndex && typeof waitUntil === 'function') {
+    waitUntil(startRefresh(origin, env));
+  }
+  return cachedIndex ? null : idx;
+}
+
+// =============================================================================
+// INDEX REFRESH
+// =============================================================================
+
+function adoptIndex(built, etag, started) {
+  cachedIndex = built;
+  cachedEtag = etag;
+  indexCheckedAt = Date.now();
+  indexLoadedAt = indexCheckedAt;
+  lastLoadMs = indexLoadedAt - started;
+  cacheExpiry = indexCheckedAt + INDEX_CACHE_TTL_MS;
+  lastRefreshError = null;
+  forgetShards();
+}
+
+/**
+ * Revalidate or reload the index. With a cached index this never rejects:
+ * a failed refresh keeps serving the last good index (marked stale) and
+ * retries after INDEX_RETRY_MS instead of on every request.
+ */
+async function refreshIndex(origin, env) {
+  const now = Date.now();
+  try {
+    const { res, raw: fetched } = await fetchIndexRoot(origin, env, cachedIndex ? cachedEtag : null);
+    if (res.status === 304) {
+      // Unchanged: skip the JSON parse and lookup-map rebuild
+      indexCheckedAt = now;
+      cacheExpiry = now + INDEX_CACHE_TTL_MS;
+      lastRefreshError = null;
+      return cachedIndex;
+    }
+
+    let raw = fetched;
+    const etag = res.headers.get('ETag');
+    if (isShardedManifest(raw)) {
+      checkSchema(() => schemaAdapter(raw.meta));
+      // Shards fetched for a cold-start manifest are reused only when the
+      // manifest is provably the same one
+      if (!etag || etag !== manifestEtag) forgetShards();
+      raw = await assembleShardedIndex(origin, env, raw);
+    }
+
+    adoptIndex(checkSchema(() => buildLookupMaps(raw)), etag, now);
+    return cachedIndex;
+  } catch (e) {
+    lastLoadError = { code: e.code || ERR.UNKNOWN, message: e.message, at: new Date(now).toISOString() };
+    if (!cachedIndex) {
+      // The manifest or its shards may be what failed; fetch them afresh
+      forgetShards();
+      throw e;
+    }
+    lastRefreshError = e;
+    cacheExpiry = now + INDEX_RETRY_MS;
+    console.error('Search index refresh failed, serving last good index:', {
+      code: e.code || ERR.UNKNOWN,
+      message: e.message,
+    });
+    return cachedIndex;
+  }
+}
+
+// Single in-flight refresh shared by concurrent requests
+function startRefresh(origin, env) {
+  if (!refreshPromise) {
+    refreshPromise = refreshIndex(origin, env).finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Get the lookup structure. Fresh cache: returned directly. Expired cache
+ * with waitUntil: returned immediately while a background refresh runs
+ * (stale-while-revalidate). Otherwise the refresh is awaited.
+ */
+async function loadIndex(origin, env, waitUntil) {
+  if (cachedIndex && Date.now() < cacheExpiry) return cachedIndex;
+  if (cachedIndex && typeof waitUntil === 'function') {
+    waitUntil(startRefresh(origin, env));
+    return cachedIndex;
+  }
+  return startRefresh(origin, env);
+}
+
+/**
+ * Mark responses served from an index whose latest refresh failed, and
+ * name the schema adapter that read the index.
+ */
+function withIndexState(response, idx) {
+  if (lastRefreshError) response.headers.set('X-Search-Index', 'stale');
+  response.headers.set('X-Search-Index-Adapter', idx.adapter);
+  return response;
 }
 
 // =============================================================================
 // INPUT VALIDATION
 // =============================================================================
 
+// Unpadded Ed25519 key from a 43-character or '='-padded base64 string, or null
+function ed25519Key(s) {
+  const key = s.length === 44 && s.endsWith('=') ? s.slice(0, 43) : s;
+  return RE_ED25519_KEY.test(key) ? key : null;
+}
+
+/**
+ * Fingerprint or Ed25519 key from one URL path or fragment segment.
+ * @returns {string|null} Identifier, or null if the segment is neither
+ */
+function segmentIdentifier(segment) {
+  let s = segment;
+  try {
+    s = decodeURIComponent(segment);
+  } catch {
+    // Malformed escape: match the segment as written
+  }
+  if (s.startsWith('$')) s = s.slice(1);
+  return RE_FULL_FINGERPRINT.test(s) ? s : ed25519Key(s);
+}
+
+/**
+ * Identifier from a pasted relay link: Tor Metrics
+ * (rs.html#details/FP), our own /relay/FP/ and /family/FP/ pages, or any
+ * other URL whose path or fragment ends in a fingerprint.
+ * @returns {string|null} Last identifier found, or null
+ */
+function urlIdentifier(q) {
+  let url;
+  try {
+    url = new URL(q);
+  } catch {
+    return null;
+  }
+  const segments = [...url.pathname.split('/'), ...url.hash.slice(1).split('/')];
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const id = segments[i] && segmentIdentifier(segments[i]);
+    if (id) return id;
+  }
+  return null;
+}
+
+/**
+ * Reduce pasted forms to the identifier they carry, ahead of the length
+ * and character checks: relay links, $-prefixed fingerprints (also
+ * $FP~nick), space-grouped fingerprints as printed by tor, and padded
+ * Ed25519 keys. Anything else is returned unchanged.
+ * @param {string} q - Trimmed query
+ * @returns {string} Normalized query
+ */
+function normalizeQuery(q) {
+  if (RE_URL.test(q)) return urlIdentifier(q) || q;
+  const prefixed = q.match(RE_PREFIXED_FINGERPRINT);
+  if (prefixed) return prefixed[1];
+  const grouped = q.match(RE_GROUPED_FINGERPRINT);
+  if (grouped) return grouped[1].replace(RE_WHITESPACE, '');
+  return ed25519Key(q) || q;
+}
+
 function validateQuery(raw) {
   if (!raw || typeof raw !== 'string') return { ok: false, q: '', err: 'empty' };
-  const q = raw.trim();
-  if (!q) return { ok: false, q: '', err: 'empty' };
-  if (q.length > MAX_QUERY_LENGTH) return { ok: false, q: '', err: `Query too long (max ${MAX_QUERY_LENGTH} chars)` };
-  if (!RE_ALLOWED_CHARS.test(q)) return { ok: false, q: '', err: 'Query contains invalid characters' };
+  const trimmed = raw.trim();
+  if (!trimmed) return { ok: false, q: '', err: 'empty' };
+  const tooLong = { ok: false, q: '', err: msg('invalid.tooLong', { max: MAX_QUERY_LENGTH }) };
+  if (trimmed.length > MAX_PASTED_QUERY_LENGTH) return tooLong;
+  const q = normalizeQuery(trimmed);
+  if (q.length > MAX_QUERY_LENGTH) return tooLong;
+  // Ed25519 keys may contain '+', which queries otherwise never need
+  if (!RE_ALLOWED_CHARS.test(q) && !RE_ED25519_KEY.test(q)) return { ok: false, q: '', err: msg('invalid.chars') };
   return { ok: true, q, err: '' };
 }
 
+function parsePage(raw) {
+  if (!raw || !RE_PAGE.test(raw)) return 1;
+  return Math.min(Number(raw), MAX_PAGE) || 1;
+}
+
 function isSafePath(s) {
   return s && s.length <= 100 && RE_SAFE_PATH.test(s);
 }
@@ -436,11 +982,35 @@ function isSafePath(s) {
 // RESPONSE HELPERS
 // =============================================================================
 
-function htmlResponse(body, status) {
-  return new Response(body, { status, headers: RESPONSE_HEADERS });
+function htmlResponse(body, status, lang = DEFAULT_LANG) {
+  return new Response(body, { status, headers: { ...RESPONSE_HEADERS, 'Content-Language': lang } });
 }
 
-function safeRedirect(origin, path) {
+function jsonResponse(data, status) {
+  return new Response(JSON.stringify(data), { status, headers: JSON_RESPONSE_HEADERS });
+}
+
+// 429 responses: Retry-After, and never cached by a shared cache
+function withRetryAfter(response, retryAfter) {
+  response.headers.set('Retry-After', String(retryAfter));
+  response.headers.set('Cache-Control', 'no-store');
+  return response;
+}
+
+/**
+ * Pick the response format: explicit ?format= wins, then the Accept header.
+ * Browsers never list application/json in their default Accept header, so
+ * the HTML form keeps its redirect behavior.
+ */
+function getResponseFormat(request, url) {
+  const format = url.searchParams.get('format');
+  if (format === 'json') return 'json';
+  if (format === 'html') return 'html';
+  const accept = request.headers.get('Accept') || '';
+  return accept.includes('application/json') ? 'json' : 'html';
+}
+
+function isSafeRedirectPath(path) {
   // Validate against prefix allowlist OR domain-style path (e.g., /1aeo.com/)
   let ok = false;
   for (let i = 0; i < SAFE_REDIRECT_PREFIXES.length; i++) {
@@ -450,19 +1020,34 @@ function safeRedirect(origin, path) {
   if (!ok && path.includes('.') && /^\/[\w.-]+\/$/.test(path)) ok = true;
   if (!ok || path.includes('://') || path.startsWith('//')) {
     console.error('Blocked redirect:', path);
+    return false;
+  }
+  return true;
+}
+
+function safeRedirect(origin, path) {
+  if (!isSafeRedirectPath(path)) {
     return new Response('Invalid redirect', { status: 400 });
   }
-  return Response.redirect(new URL(path, origin).href, 302);
+  // Built by hand: Response.redirect() headers are immutable
+  return new Response(null, { status: 302, headers: { Location: new URL(path, origin).href } });
 }
 
-function handleError(err, query) {
+function handleError(err, query, format, view) {
   console.error('Search error:', {
     code: err.code || ERR.UNKNOWN,
     message: err.message,
     details: err.details,
     query: query?.slice(0, 50),
   });
-  return renderError(err, query);
+  if (format === 'json') {
+    return jsonResponse({
+      query,
+      type: 'error',
+      error: { code: err.code || ERR.UNKNOWN, message: err.message || 'Unknown error' },
+    }, 503);
+  }
+  return renderError(err, query, view);
 }
 
 // =============================================================================
@@ -490,63 +1075,552 @@ function relayResult(r) {
   };
 }
 
-/**
- * Search index with optimized lookups.
- * Fast O(1) checks first, linear scans only as fallback.
- */
-function search(q, idx) {
-  // 1. Full fingerprint - O(1) Map lookup
-  if (RE_FULL_FINGERPRINT.test(q)) {
-    const qUp = q.toUpperCase();
-    const relay = idx.fpMap.get(qUp);
-    if (relay) return { type: 'relay', id: relay.f };
-    const family = idx.familyIdMap.get(qUp);
-    if (family) return { type: 'family', id: family.id };
-    return { type: 'not_found' };
-  }
+// Parsed relay addresses, built lazily per index (subnet queries only)
+const ipEntriesCache = new WeakMap();
 
-  // 2. Partial fingerprint - scan Map keys
-  if (RE_PARTIAL_FINGERPRINT.test(q)) {
-    const qUp = q.toUpperCase();
-    const matches = [];
-    for (const [fp, r] of idx.fpMap) {
-      if (fp.startsWith(qUp)) {
-        matches.push(r);
-        if (matches.length > MAX_RESULTS) break;
-      }
+function getIpEntries(idx) {
+  let entries = ipEntriesCache.get(idx);
+  if (!entries) {
+    entries = [];
+    for (const [ip, r] of idx.ipMap) {
+      const addr = parseIp(ip);
+      if (addr) entries.push({ addr, r });
     }
-    if (matches.length === 1) return { type: 'relay', id: matches[0].f };
-    if (matches.length > 1) {
-      return { type: 'multiple', matches: matches.slice(0, MAX_RESULTS).map(relayResult), hint: 'Multiple relays match this fingerprint prefix' };
+    ipEntriesCache.set(idx, entries);
+  }
+  return entries;
+}
+
+/**
+ * Relays with any address inside a CIDR block, ordered by address.
+ * A relay with several addresses in the block is listed once.
+ */
+function searchCidr(cidr, idx) {
+  const hits = [];
+  const seen = new Set();
+  for (const { addr, r } of getIpEntries(idx)) {
+    if (!seen.has(r) && cidrContains(cidr, addr)) {
+      seen.add(r);
+      hits.push({ addr, r });
     }
   }
+  hits.sort((a, b) => (a.addr.value < b.addr.value ? -1 : a.addr.value > b.addr.value ? 1 : 0));
+  return hits.map(h => h.r);
+}
 
-  const qLow = q.toLowerCase();
+// =============================================================================
+// FILTER QUERIES
+// =============================================================================
 
-  // 3. AS number - O(1) Set lookup
-  const asMatch = q.match(RE_AS_NUMBER);
-  if (asMatch) {
-    const asNum = 'AS' + asMatch[1];
-    if (idx.asSet.has(asNum)) return { type: 'as', id: asNum };
+// Localized country names, built lazily per index (country-name misses only)
+const localCountryCache = new WeakMap();
+
+function localizedCountry(q, idx) {
+  let names = localCountryCache.get(idx);
+  if (!names) {
+    names = localizedCountryNames(idx.ccSet);
+    localCountryCache.set(idx, names);
   }
+  return names.get(foldName(q)) || null;
+}
 
-  // 4. Country code - O(1) Set lookup (return UPPERCASE for URL paths)
-  if (RE_COUNTRY_CODE.test(q) && idx.ccSet.has(qLow)) {
-    return { type: 'country', id: qLow.toUpperCase() };
+/**
+ * Parse YYYY, YYYY-MM or YYYY-MM-DD into an inclusive day range. Days are
+ * ISO strings, so range checks are plain string comparisons.
+ * @returns {{from: string, to: string}|null} null for malformed or
+ *   impossible dates (2024-13, 2024-02-30)
+ */
+function parseDateRange(v) {
+  const m = RE_DATE.exec(v);
+  if (!m) return null;
+  const [, year, month, day] = m;
+  if (month && (month < '01' || month > '12')) return null;
+  if (day) {
+    const date = `${year}-${month}-${day}`;
+    const t = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(t.getTime()) || t.toISOString().slice(0, 10) !== date) return null;
+    return { from: date, to: date };
+  }
+  if (month) {
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    return { from: `${year}-${month}-01`, to: `${year}-${month}-${lastDay}` };
   }
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+}
 
-  // 5. Country name - O(1) Map lookup
-  const ccByName = idx.ccNameMap.get(qLow);
-  if (ccByName) return { type: 'country', id: ccByName.toUpperCase() };
+// Filter factory for first-seen ranges; since: leaves the end open
+function firstSeenFilter(key, openEnded) {
+  return (v, idx) => {
+    const range = parseDateRange(v);
+    if (!range) return msg('filter.dateFormat', { value: v, key });
+    if (!idx.hasRelayFirstSeen) return msg('filter.needsFirstSeen', { key });
+    return (r) => {
+      const day = firstSeenDay(r);
+      return !!day && day >= range.from && (openEnded || day <= range.to);
+    };
+  };
+}
 
-  // 5b. Country aliases (e.g., "united states" -> "us", "uk" -> "gb")
-  const ccByAlias = COUNTRY_ALIASES[qLow];
-  if (ccByAlias) return { type: 'country', id: ccByAlias.toUpperCase() };
+/**
+ * A single first-seen day has its own page. With per-relay dates in the
+ * index, days without relays are not found instead of redirecting to a
+ * page that was never generated.
+ */
+function firstSeenDayResult(day, idx) {
+  if (!parseDateRange(day)) return { type: 'invalid', error: msg('filter.invalidDate', { value: day }) };
+  if (idx.hasRelayFirstSeen && !idx.firstSeenDayCount.has(day)) return { type: 'not_found' };
+  return { type: 'first_seen', id: day };
+}
 
-  // 6. Platform - O(1) Set lookup (dynamic from index or fallback)
-  if (idx.platformSet.has(qLow)) return { type: 'platform', id: qLow };
+// Filter key -> relay predicate factory. Each factory validates the value
+// against the index lookups and returns a predicate or an error message
+// (msg() catalog reference).
+// Repeated keys are OR-ed (country:de country:nl), except flag: where a
+// relay must carry every requested flag.
+const FILTERS = Object.freeze({
+  country(v, idx) {
+    const cc = v.toLowerCase();
+    if (!idx.ccSet.has(cc)) return msg('filter.unknownCountry', { value: v });
+    return r => !!r.cc && r.cc.toLowerCase() === cc;
+  },
+  as(v, idx) {
+    const m = v.match(RE_AS_NUMBER);
+    const asNum = m ? 'AS' + m[1] : '';
+    if (!asNum || !idx.asSet.has(asNum)) return msg('filter.unknownAs', { value: v });
+    return r => !!r.as && r.as.toUpperCase() === asNum;
+  },
+  flag(v, idx) {
+    const flag = v.toLowerCase();
+    if (!idx.flagSet.has(flag)) return msg('filter.unknownFlag', { value: v });
+    if (!idx.hasRelayFlags) return msg('filter.needsFlags');
+    return r => Array.isArray(r.fl) && r.fl.some(f => f.toLowerCase() === flag);
+  },
+  platform(v, idx) {
+    const platform = v.toLowerCase();
+    if (!idx.platformSet.has(platform)) return msg('filter.unknownPlatform', { value: v });
+    if (!idx.hasRelayPlatforms) return msg('filter.needsPlatforms');
+    return r => !!r.pf && r.pf.toLowerCase() === platform;
+  },
+  ciiss(v) {
+    const ver = v.toLowerCase().replace(/^v/, '');
+    if (ver !== '2' && ver !== '3') return msg('filter.unknownCiiss', { value: v });
+    return r => r.vn === ver;
+  },
+  first_seen: firstSeenFilter('first_seen', false),
+  since: firstSeenFilter('since', true),
+});
 
-  // 7. Flag - O(1) Set lookup (dynamic from index or fallback)
+const FILTER_KEYS = Object.freeze(Object.keys(FILTERS));
+
+/**
+ * Detect "key:value" filter syntax. IP addresses are excluded so IPv6
+ * literals such as "dead:beef::1" keep their own search path.
+ */
+function isFilterQuery(q) {
+  if (!q.includes(':') || parseIp(q)) return false;
+  return q.split(/\s+/).some(term => RE_FILTER_TERM.test(term));
+}
+
+/**
+ * A bare YYYY-MM or YYYY-MM-DD is read as first_seen: only when the index
+ * carries per-relay first-seen dates.
+ */
+function isBareFirstSeen(q, idx) {
+  return idx.hasRelayFirstSeen && RE_BARE_DATE.test(q);
+}
+
+/**
+ * Parse a filter query into one predicate per term group.
+ * Bare words (no colon) match relay nicknames by substring.
+ *
+ * @returns {{ok: true, tests: Function[]} | {ok: false, err: object}} err is
+ *   a msg() catalog reference
+ */
+function parseFilterQuery(q, idx) {
+  const groups = new Map();  // key -> [predicates], OR-ed within a key
+  const tests = [];
+
+  for (const term of q.split(/\s+/)) {
+    const m = RE_FILTER_TERM.exec(term);
+    if (!m) {
+      if (term.includes(':')) return { ok: false, err: msg('filter.malformed', { term }) };
+      const word = term.toLowerCase();
+      tests.push(r => !!r.n && r.n.toLowerCase().includes(word));
+      continue;
+    }
+    const key = m[1].toLowerCase();
+    const factory = FILTERS[key];
+    if (!factory) {
+      return { ok: false, err: msg('filter.unknownKey', { key: m[1], keys: FILTER_KEYS.map(k => k + ':').join(' ') }) };
+    }
+    if (!m[2]) return { ok: false, err: msg('filter.noValue', { key }) };
+    const pred = factory(m[2], idx);
+    if (typeof pred !== 'function') return { ok: false, err: pred };
+    if (key === 'flag') { tests.push(pred); continue; }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pred);
+  }
+
+  for (const preds of groups.values()) {
+    tests.push(preds.length === 1 ? preds[0] : r => preds.some(p => p(r)));
+  }
+  return { ok: true, tests };
+}
+
+// Stable result orders: pages stay consistent across requests and index
+// rebuilds because ties always break on the unique fingerprint.
+function compareByFingerprint(a, b) {
+  return a.f < b.f ? -1 : a.f > b.f ? 1 : 0;
+}
+
+function compareByNickname(a, b) {
+  const an = (a.n || '').toLowerCase();
+  const bn = (b.n || '').toLowerCase();
+  if (an !== bn) return an < bn ? -1 : 1;
+  return compareByFingerprint(a, b);
+}
+
+// Relevance weights (higher ranks first). Where the query matches the
+// nickname dominates; the remaining signals order relays that match equally.
+const RANK_WEIGHTS = Object.freeze({
+  exact: 100,
+  prefix: 60,
+  contains: 30,            // minus the match position, capped
+  maxPositionPenalty: 10,
+  familySizePerDoubling: 5,
+  maxFamilySize: 20,
+  validatedAroi: 15,       // family v or validated_aroi_domains
+  v3Proof: 5,              // family v3p
+  ciissV3: 10,
+  ciissV2: 5,
+});
+
+/**
+ * Relevance score for a relay. qLow may be empty for lists that are not
+ * nickname matches (fingerprint prefix, filters); only the relay and
+ * family signals then apply.
+ */
+function relevanceScore(r, qLow, idx) {
+  const W = RANK_WEIGHTS;
+  let score = 0;
+
+  if (qLow && r.n) {
+    const nLow = r.n.toLowerCase();
+    const pos = nLow.indexOf(qLow);
+    if (nLow === qLow) score += W.exact;
+    else if (pos === 0) score += W.prefix;
+    else if (pos > 0) score += W.contains - Math.min(pos, W.maxPositionPenalty);
+  }
+
+  const fam = r.fam ? idx.familyIdMap.get(r.fam) : null;
+  if (fam && typeof fam.sz === 'number' && fam.sz > 1) {
+    score += Math.min(Math.round(Math.log2(fam.sz) * W.familySizePerDoubling), W.maxFamilySize);
+  }
+  const validated = (fam && fam.v) ||
+    (r.a && idx.validatedAroiSet && idx.validatedAroiSet.has(r.a.toLowerCase()));
+  if (validated) score += W.validatedAroi;
+  if (fam && fam.v3p) score += W.v3Proof;
+
+  if (r.vn === '3') score += W.ciissV3;
+  else if (r.vn === '2') score += W.ciissV2;
+
+  return score;
+}
+
+/**
+ * One page of relays ordered by relevance score, then nickname and
+ * fingerprint. Each match carries its score so JSON clients see the order.
+ */
+function rankedResult(list, qLow, idx, page, hint) {
+  const ranked = list.map(r => ({ r, score: relevanceScore(r, qLow, idx) }))
+    .sort((a, b) => (b.score - a.score) || compareByNickname(a.r, b.r));
+  const result = pagedResult(ranked, page, hint, ({ r, score }) => ({ ...relayResult(r), score }));
+  result.order = 'relevance';
+  return result;
+}
+
+/**
+ * Slice one page of results into a disambiguation result.
+ * Out-of-range pages are clamped to the nearest valid page.
+ * List entries are raw relays unless a different mapper is given.
+ */
+function pagedResult(list, page, hint, toResult = relayResult) {
+  const pageCount = Math.max(1, Math.ceil(list.length / MAX_RESULTS));
+  const current = Math.min(Math.max(page || 1, 1), pageCount);
+  const start = (current - 1) * MAX_RESULTS;
+  return {
+    type: 'multiple',
+    matches: list.slice(start, start + MAX_RESULTS).map(toResult),
+    hint,
+    total: list.length,
+    page: current,
+    pageCount,
+  };
+}
+
+function searchFilters(q, idx, page) {
+  // A lone first_seen:YYYY-MM-DD goes to that day's page
+  const lone = RE_FILTER_TERM.exec(q);
+  if (lone && lone[1].toLowerCase() === 'first_seen' && RE_DAY.test(lone[2])) {
+    return firstSeenDayResult(lone[2], idx);
+  }
+
+  const parsed = parseFilterQuery(q, idx);
+  if (!parsed.ok) return { type: 'invalid', error: parsed.err };
+
+  const { tests } = parsed;
+  const matches = idx.relays.filter(r => tests.every(t => t(r)));
+  if (matches.length === 0) return { type: 'not_found' };
+  if (matches.length === 1) return { type: 'relay', id: matches[0].f };
+  return rankedResult(matches, '', idx, page, msg('hint.filterMatches', { count: matches.length, q }));
+}
+
+/**
+ * Autonomous systems whose name contains the query at a word start
+ * ("hetzner" matches "Hetzner Online GmbH"; "ocean" does not match
+ * "DigitalOcean, LLC"). ASes without relays in the index are left out.
+ * Ordered by relay count, then AS number.
+ *
+ * @returns {Array<object>} AS result items ({t: 'as', id, n, count, path})
+ */
+function searchAsNames(qLow, idx) {
+  if (qLow.length < MIN_AS_NAME_QUERY_LENGTH) return [];
+  const needle = ' ' + normalizeWords(qLow);
+  if (needle === ' ') return [];
+
+  const items = [];
+  for (const [asNum, words] of idx.asNameWords) {
+    // ASes without relays in the index have no page worth opening
+    if (words.includes(needle) && idx.asRelayCount.has(asNum)) items.push(asResult(asNum, idx));
+  }
+  items.sort((a, b) => (b.count - a.count) ||
+    (Number(a.id.slice(2)) - Number(b.id.slice(2))));
+  return items;
+}
+
+function asResult(asNum, idx) {
+  return {
+    t: 'as',
+    id: asNum,
+    n: idx.asNameMap.get(asNum) || null,
+    count: idx.asRelayCount.get(asNum) || 0,
+    path: `/as/${asNum}/`,
+  };
+}
+
+/**
+ * Map operator contact to result format. Validation status comes from the
+ * index (v1.5+ validated_aroi_domains) only: true/false when known, null
+ * for older indexes. Lists never probe storage; unvalidated or unknown
+ * domains link to the always-present /contact/{hash}/ page.
+ */
+function aroiResult(contact, idx) {
+  const v = idx.validatedAroiSet ? idx.validatedAroiSet.has(contact.domain.toLowerCase()) : null;
+  const path = v && isSafePath(contact.domain) ? `/${contact.domain}/`
+    : isSafePath(contact.hash) ? `/contact/${contact.hash}/` : null;
+  return { t: 'aroi', id: contact.domain, fallback: contact.hash, v, path };
+}
+
+/**
+ * Contacts whose lowercase domain contains qLow and, when given, also
+ * satisfies the test (e.g. endsWith). One entry per domain, in index order.
+ */
+function searchContactDomains(idx, qLow, test) {
+  const out = [];
+  const keys = idx.contactDomainGrams.keys;
+  for (const i of findSubstring(idx.contactDomainGrams, qLow)) {
+    if (!test || test(keys[i])) out.push(idx.contactDomainMap.get(keys[i]));
+  }
+  return out;
+}
+
+/**
+ * Domain of a query that looks like operator contact info: an email
+ * address (abuse@example.org, abuse[at]example[dot]org) or a CIISS
+ * token (email:tor[]example.org, url:https://example.org/).
+ * @returns {string|null} Lowercase domain, or null for any other query
+ */
+function contactQueryDomain(q) {
+  const token = q.match(RE_CONTACT_TOKEN);
+  const value = (token ? token[2] : q).replace(RE_DOT_TOKEN, '.').replace(RE_AT_TOKEN, '@');
+  let domain;
+  if (token && token[1].toLowerCase() === 'url') {
+    try {
+      domain = new URL(RE_URL.test(value) ? value : `https://${value}`).hostname;
+    } catch {
+      return null;
+    }
+  } else {
+    const at = value.lastIndexOf('@');
+    if (!token && (at < 0 || /\s/.test(value))) return null;  // bare queries must be one address
+    domain = value.slice(at + 1);
+  }
+  domain = domain.toLowerCase();
+  return RE_CONTACT_DOMAIN.test(domain) ? domain : null;
+}
+
+/**
+ * Contact for a domain or its closest parent (mail.example.org ->
+ * example.org), or null.
+ */
+function contactByDomain(domain, idx) {
+  for (let d = domain; d.includes('.'); d = d.slice(d.indexOf('.') + 1)) {
+    const contact = idx.contactDomainMap.get(d);
+    if (contact) return contact;
+  }
+  return null;
+}
+
+/**
+ * One operator redirects (validated domain or hash fallback, same as an
+ * exact domain match); several are listed validated-first, then by domain.
+ */
+function operatorResult(contacts, idx, page, hint) {
+  if (contacts.length === 1) return { type: 'aroi', id: contacts[0].domain, fallback: contacts[0].hash };
+  const items = contacts.map(c => aroiResult(c, idx)).sort((a, b) =>
+    (b.v === true) - (a.v === true) || (a.id.toLowerCase() < b.id.toLowerCase() ? -1 : 1));
+  return pagedResult(items, page, hint, m => m);
+}
+
+/**
+ * Levenshtein distance with an upper bound.
+ * Returns max + 1 as soon as the distance is known to exceed max, so each
+ * comparison costs O(len * max) at worst and usually far less.
+ */
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = new Array(b.length + 1);
+  let cur = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+/**
+ * "Did you mean" candidates for a query with no prefix/contains match.
+ * Compares against relay nicknames, family nicknames and contact domains;
+ * short queries allow one edit, longer queries two.
+ *
+ * @returns {Array<{q: string, kind: string}>} Closest first, at most MAX_DID_YOU_MEAN
+ */
+function didYouMean(qLow, idx) {
+  if (qLow.length < MIN_DID_YOU_MEAN_LENGTH) return [];
+  const maxDist = qLow.length <= 4 ? 1 : 2;
+  const candidates = [];
+  const seen = new Set();
+
+  const consider = (key, text, kind) => {
+    if (seen.has(key)) return;
+    const d = boundedEditDistance(qLow, key, maxDist);
+    if (d > maxDist) return;
+    seen.add(key);
+    candidates.push({ d, q: text, kind });
+  };
+
+  for (const [nLow, relays] of idx.nickMultiMap) consider(nLow, relays[0].n || nLow, 'relay');
+  for (const nickLow of idx.familyNickMap.keys()) consider(nickLow, nickLow, 'family');
+  for (const [domainLow, contact] of idx.contactDomainMap) consider(domainLow, contact.domain, 'aroi');
+
+  // Stable sort keeps source order (relay, family, aroi) within a distance
+  candidates.sort((a, b) => a.d - b.d);
+  return candidates.slice(0, MAX_DID_YOU_MEAN).map(({ q, kind }) => ({ q, kind }));
+}
+
+/**
+ * Search index with optimized lookups.
+ * Fast O(1) checks first, linear scans only as fallback.
+ *
+ * @param {string} q - Validated query
+ * @param {object} idx - Lookup structure from buildLookupMaps
+ * @param {object} [opts] - {page}: 1-based page for paginated results;
+ *   {suggestions: false} skips the did-you-mean scan (bulk)
+ */
+function search(q, idx, opts = {}) {
+  // 0. Contact email or CIISS email:/url: token → operator page, same
+  // fallback as an exact domain (checked first: "email:" is no filter key)
+  const contactDomain = contactQueryDomain(q);
+  if (contactDomain) {
+    const contact = contactByDomain(contactDomain, idx);
+    return contact ? { type: 'aroi', id: contact.domain, fallback: contact.hash } : { type: 'not_found' };
+  }
+
+  // 0a. Filter query (country:de flag:exit ...) - linear scan with predicates
+  if (isFilterQuery(q)) return searchFilters(q, idx, opts.page);
+
+  // 0b. First-seen date (2024-05-01 → day page, 2024-05 → relays that month).
+  // Older indexes without fs dates fall through to the steps below
+  if (isBareFirstSeen(q, idx)) return searchFilters('first_seen:' + q, idx, opts.page);
+
+  // 1. Full fingerprint - O(1) Map lookup
+  if (RE_FULL_FINGERPRINT.test(q)) {
+    const qUp = q.toUpperCase();
+    const relay = idx.fpMap.get(qUp);
+    if (relay) return { type: 'relay', id: relay.f };
+    const family = idx.familyIdMap.get(qUp);
+    if (family) return { type: 'family', id: family.id };
+    return { type: 'not_found' };
+  }
+
+  // 1b. Ed25519 identity key - O(1) Map lookup (case-sensitive base64)
+  if (RE_ED25519_KEY.test(q)) {
+    const relay = idx.edMap.get(q);
+    return relay ? { type: 'relay', id: relay.f } : { type: 'not_found' };
+  }
+
+  // 2. Partial fingerprint - scan Map keys
+  if (RE_PARTIAL_FINGERPRINT.test(q)) {
+    const qUp = q.toUpperCase();
+    const matches = [];
+    for (const [fp, r] of idx.fpMap) {
+      if (fp.startsWith(qUp)) matches.push(r);
+    }
+    if (matches.length === 1) return { type: 'relay', id: matches[0].f };
+    if (matches.length > 1) {
+      return rankedResult(matches, '', idx, opts.page, msg('hint.fingerprintPrefix'));
+    }
+  }
+
+  const qLow = q.toLowerCase();
+
+  // 3. AS number - O(1) Set lookup
+  const asMatch = q.match(RE_AS_NUMBER);
+  if (asMatch) {
+    const asNum = 'AS' + asMatch[1];
+    if (idx.asSet.has(asNum)) return { type: 'as', id: asNum };
+  }
+
+  // 4. Country code - O(1) Set lookup (return UPPERCASE for URL paths)
+  if (RE_COUNTRY_CODE.test(q) && idx.ccSet.has(qLow)) {
+    return { type: 'country', id: qLow.toUpperCase() };
+  }
+
+  // 5. Country name - O(1) Map lookup
+  const ccByName = idx.ccNameMap.get(qLow);
+  if (ccByName) return { type: 'country', id: ccByName.toUpperCase() };
+
+  // 5b. Country aliases (e.g., "united states" -> "us", "uk" -> "gb")
+  const ccByAlias = COUNTRY_ALIASES[qLow];
+  if (ccByAlias) return { type: 'country', id: ccByAlias.toUpperCase() };
+
+  // 5c. Localized country names (e.g., "Deutschland", "Allemagne", "Alemania")
+  const ccByLocalName = localizedCountry(q, idx);
+  if (ccByLocalName) return { type: 'country', id: ccByLocalName.toUpperCase() };
+
+  // 6. Platform - O(1) Set lookup (dynamic from index or fallback)
+  if (idx.platformSet.has(qLow)) return { type: 'platform', id: qLow };
+
+  // 7. Flag - O(1) Set lookup (dynamic from index or fallback)
   if (idx.flagSet.has(qLow)) return { type: 'flag', id: qLow };
 
   // 8. Contact domain/hash - O(1) Map lookups → redirect to /{domain}/ (fallback: /contact/{hash}/)
@@ -557,14 +1631,35 @@ function search(q, idx) {
   
   // 8b. Contact domain prefix (e.g., "1aeo" → /1aeo.com/, "prsv" → /prsv.ch/)
   const cDomainPrefix = idx.contactDomainPrefixMap.get(qLow);
-  if (cDomainPrefix) return { type: 'aroi', id: cDomainPrefix.domain, fallback: cDomainPrefix.hash };
+  if (cDomainPrefix) return operatorResult(cDomainPrefix, idx, opts.page, msg('hint.operatorsNamed', { count: cDomainPrefix.length, q }));
+
+  // 8c. Contact domain suffix (e.g., ".de", ".torproject.org") - linear scan
+  if (qLow.length > 1 && qLow.startsWith('.')) {
+    const bySuffix = searchContactDomains(idx, qLow, d => d.endsWith(qLow));
+    if (bySuffix.length) return operatorResult(bySuffix, idx, opts.page, msg('hint.operatorsUnder', { count: bySuffix.length, q }));
+  }
 
-  // 9. IP address - O(1) Map lookup
-  if (RE_IPV4.test(q) || (q.includes(':') && RE_IPV6_CHARS.test(q))) {
-    const relay = idx.ipMap.get(q);
+  // 9. IP address - O(1) Map lookup on the canonical form
+  // (2001:DB8::1, [2001:db8::1]:9001, ::ffff:192.0.2.1, 192.0.2.1:9001)
+  const ipKey = RE_IP_CHARS.test(q) ? canonicalIp(q) : null;
+  if (ipKey) {
+    const relay = idx.ipMap.get(ipKey);
     if (relay) return { type: 'relay', id: relay.f };
   }
 
+  // 9b. CIDR block - scan parsed relay addresses (e.g., 192.0.2.0/24, 2001:db8::/32)
+  if (RE_CIDR_CHARS.test(q)) {
+    const cidr = parseCidr(q);
+    if (cidr) {
+      const inBlock = searchCidr(cidr, idx);
+      if (inBlock.length === 1) return { type: 'relay', id: inBlock[0].f };
+      if (inBlock.length > 1) {
+        return pagedResult(inBlock, opts.page, msg('hint.relaysInBlock', { count: inBlock.length, q }));
+      }
+      return { type: 'not_found' };
+    }
+  }
+
   // 10. Exact nickname - O(1) Map lookup with disambiguation for duplicates
   const exactNickMatches = idx.nickMultiMap.get(qLow);
   if (exactNickMatches) {
@@ -572,11 +1667,7 @@ function search(q, idx) {
       return { type: 'relay', id: exactNickMatches[0].f };
     }
     // Multiple relays with same nickname - show disambiguation
-    return { 
-      type: 'multiple', 
-      matches: exactNickMatches.slice(0, MAX_RESULTS).map(relayResult), 
-      hint: `${exactNickMatches.length} relays named "${q}"` 
-    };
+    return rankedWithFamilies(exactNickMatches, qLow, idx, opts.page, msg('hint.relaysNamed', { count: exactNickMatches.length, q }));
   }
 
   // 11. Family prefix - O(1) Map lookup (non-generic prefixes only)
@@ -587,27 +1678,23 @@ function search(q, idx) {
   const famByNick = idx.familyNickMap.get(qLow);
   if (famByNick) return { type: 'family', id: famByNick.id };
 
-  // 13. Nickname prefix/contains - Combined single pass with precomputed lowercase
+  // 13. Nickname prefix/contains - one pass over the trigram candidates
+  // (every relay whose nickname contains the query, in index order), so
+  // paginated results carry an exact total.
   const prefixMatches = [];
   const containsMatches = [];
   const relays = idx.relays;
   const nickLower = idx.nickLower;  // Precomputed lowercase nicknames
-  const maxContains = MAX_RESULTS * 2;
   
-  for (let i = 0; i < relays.length; i++) {
+  for (const i of findSubstring(idx.nickGrams, qLow)) {
     const nLow = nickLower[i];
-    if (!nLow) continue;
     
     if (nLow.startsWith(qLow)) {
       prefixMatches.push(relays[i]);
-      // Early exit: enough prefix matches found
-      if (prefixMatches.length > MAX_RESULTS) break;
-    } else if (containsMatches.length <= maxContains && nLow.includes(qLow)) {
+    } else if (prefixMatches.length === 0 && nLow.includes(qLow)) {
+      // Contains matches only matter while no prefix match exists
       containsMatches.push(relays[i]);
     }
-    
-    // Early exit: have enough of both types
-    if (prefixMatches.length >= MAX_RESULTS && containsMatches.length >= maxContains) break;
   }
 
   // Prefer prefix matches over contains
@@ -622,77 +1709,437 @@ function search(q, idx) {
       else if (famId !== f) { sameFam = false; }
     }
     if (sameFam && famId) return { type: 'family', id: famId };
-    return { type: 'multiple', matches: prefixMatches.slice(0, MAX_RESULTS).map(relayResult), hint: `Multiple relays match "${q}"` };
+    return rankedWithFamilies(prefixMatches, qLow, idx, opts.page, msg('hint.relaysMatch', { count: prefixMatches.length, q }));
   }
 
   // Fall back to contains matches
   if (containsMatches.length === 1) return { type: 'relay', id: containsMatches[0].f };
-  if (containsMatches.length > 1 && containsMatches.length <= MAX_RESULTS * 2) {
-    return { type: 'multiple', matches: containsMatches.slice(0, MAX_RESULTS).map(relayResult), hint: `Found ${containsMatches.length} relays containing "${q}"` };
+  if (containsMatches.length > 1) {
+    return rankedWithFamilies(containsMatches, qLow, idx, opts.page, msg('hint.relaysContaining', { count: containsMatches.length, q }));
+  }
+
+  // 13a. AS name - word-prefix scan over lookups.as_names ("hetzner", "ovh"),
+  // after nicknames so a word of an AS name never hides matching relays
+  const asByName = searchAsNames(qLow, idx);
+  if (asByName.length === 1) return { type: 'as', id: asByName[0].id };
+  if (asByName.length > 1) {
+    return pagedResult(asByName, opts.page, msg('hint.asNames', { count: asByName.length, q }), m => m);
+  }
+
+  // 13b. Contact domain contains (e.g., "torproject" → torproject.org, foo.torproject.net)
+  if (qLow.length >= MIN_DOMAIN_CONTAINS_LENGTH) {
+    const byContains = searchContactDomains(idx, qLow);
+    if (byContains.length) return operatorResult(byContains, idx, opts.page, msg('hint.operatorsContaining', { count: byContains.length, q }));
   }
 
+  // 14. Typo tolerance - bounded edit distance, only when nothing matched at all
+  const suggestions = opts.suggestions === false ? [] : didYouMean(qLow, idx);
+  if (suggestions.length) return { type: 'not_found', suggestions };
+
   return { type: 'not_found' };
 }
 
+// =============================================================================
+// FAMILY CARDS
+// =============================================================================
+
+// Member relays per family ID, built lazily per index (family cards only)
+const familyMembersCache = new WeakMap();
+
+function getFamilyMembers(idx) {
+  let members = familyMembersCache.get(idx);
+  if (!members) {
+    members = new Map();
+    for (const r of idx.relays) {
+      if (!r.fam) continue;
+      if (!members.has(r.fam)) members.set(r.fam, []);
+      members.get(r.fam).push(r);
+    }
+    familyMembersCache.set(idx, members);
+  }
+  return members;
+}
+
+// Sorted distinct uppercase values of a family field (string or list) and
+// the same field on its member relays
+function familySpread(f, members, field) {
+  const values = new Set();
+  const own = Array.isArray(f[field]) ? f[field] : [f[field]];
+  for (const v of own) if (typeof v === 'string' && v) values.add(v.toUpperCase());
+  for (const r of members) if (typeof r[field] === 'string' && r[field]) values.add(r[field].toUpperCase());
+  return [...values].sort();
+}
+
+/**
+ * Map family to a result card: size, operator (AROI) with validation
+ * status and v3 proof, country and AS spread, and the most common member
+ * nicknames. The display name is the first member nickname (nn keys,
+ * v1.1+) or the shared nickname prefix when the index has no nickname dict.
+ */
+function familyResult(f, idx) {
+  const nicks = f.nn && typeof f.nn === 'object' ? Object.keys(f.nn) : [];
+  const members = getFamilyMembers(idx).get(f.id) || [];
+  const hash = Array.isArray(f.c) ? f.c[0] : f.c;
+  // v (1.4+) is the family's own status; validated_aroi_domains covers older entries
+  const v = typeof f.v === 'boolean' ? f.v
+    : f.a && idx.validatedAroiSet ? idx.validatedAroiSet.has(f.a.toLowerCase()) : null;
+  const aroiPath = !f.a ? null
+    : v && isSafePath(f.a) ? `/${f.a}/`
+    : isSafePath(hash) ? `/contact/${hash}/` : null;
+  const byCount = nicks.length ? [...nicks].sort((x, y) => (f.nn[y] || 0) - (f.nn[x] || 0))
+    : [...new Set(members.map(r => r.n).filter(Boolean))];
+  return {
+    t: 'family',
+    id: f.id,
+    n: nicks[0] || f.px || null,
+    sz: typeof f.sz === 'number' ? f.sz : members.length || null,
+    a: f.a || null,
+    v,
+    v3p: f.v3p === true,
+    aroiPath,
+    path: isSafePath(f.id) ? `/family/${f.id}/` : null,
+    cc: familySpread(f, members, 'cc'),
+    as: familySpread(f, members, 'as'),
+    members: byCount.slice(0, MAX_FAMILY_CARD_MEMBERS),
+  };
+}
+
+/**
+ * Family cards for a relay list that spans several families, most
+ * matched members first (then family size). Empty when the relays share
+ * one family or none.
+ */
+function familyCards(relays, idx) {
+  const matched = new Map();  // family ID -> matched relay count
+  for (const r of relays) {
+    if (r.fam && idx.familyIdMap.has(r.fam)) matched.set(r.fam, (matched.get(r.fam) || 0) + 1);
+  }
+  if (matched.size < 2) return [];
+  return [...matched.keys()]
+    .map(id => idx.familyIdMap.get(id))
+    .sort((a, b) => (matched.get(b.id) - matched.get(a.id)) || ((b.sz || 0) - (a.sz || 0)) || (a.id < b.id ? -1 : 1))
+    .slice(0, MAX_FAMILY_CARDS)
+    .map(f => familyResult(f, idx));
+}
+
+/**
+ * Ranked relay list with family cards attached when the relays belong to
+ * several families, so operators can tell them apart on the result page.
+ */
+function rankedWithFamilies(list, qLow, idx, page, hint) {
+  const result = rankedResult(list, qLow, idx, page, hint);
+  const families = familyCards(list, idx);
+  if (families.length) result.families = families;
+  return result;
+}
+
+// =============================================================================
+// MIXED-TYPE SEARCH (?mode=all)
+// =============================================================================
+
+// Group order and headings for mixed-type result pages
+const GROUP_TYPES = Object.freeze(['country', 'as', 'platform', 'flag', 'aroi', 'family', 'relay']);
+
+/**
+ * Gather candidates from every search step instead of stopping at the
+ * first match. Filter queries keep their own semantics.
+ *
+ * @returns {object} Single-match result, {type: 'grouped', groups, hint},
+ *   or not_found (with did-you-mean suggestions when available)
+ */
+function searchAll(q, idx, opts = {}) {
+  if (contactQueryDomain(q) || isFilterQuery(q) || isBareFirstSeen(q, idx)) return search(q, idx, opts);
+
+  const qLow = q.toLowerCase();
+  const qUp = q.toUpperCase();
+  const found = {};
+  for (const type of GROUP_TYPES) found[type] = new Map();
+  const add = (type, key, item) => { if (!found[type].has(key)) found[type].set(key, item); };
+
+  // Countries: code, index name, alias
+  const cc = (RE_COUNTRY_CODE.test(q) && idx.ccSet.has(qLow) ? qLow : null) ||
+    idx.ccNameMap.get(qLow) || COUNTRY_ALIASES[qLow] || localizedCountry(q, idx);
+  if (cc) add('country', cc, { t: 'country', id: cc.toUpperCase(), n: idx.ccDisplayMap.get(cc) || cc.toUpperCase() });
+
+  // Autonomous systems
+  const asMatch = q.match(RE_AS_NUMBER);
+  if (asMatch && idx.asSet.has('AS' + asMatch[1])) {
+    const asNum = 'AS' + asMatch[1];
+    add('as', asNum, asResult(asNum, idx));
+  }
+  for (const item of searchAsNames(qLow, idx)) add('as', item.id, item);
+
+  // Platforms and flags
+  if (idx.platformSet.has(qLow)) add('platform', qLow, { t: 'platform', id: qLow });
+  if (idx.flagSet.has(qLow)) add('flag', qLow, { t: 'flag', id: qLow });
+
+  // Operators: exact domain, contact hash, first-label prefix, suffix, contains
+  const contacts = [idx.contactDomainMap.get(qLow), idx.contactHashMap.get(qLow), ...(idx.contactDomainPrefixMap.get(qLow) || [])];
+  if (qLow.length > 1 && qLow.startsWith('.')) contacts.push(...searchContactDomains(idx, qLow, d => d.endsWith(qLow)));
+  if (qLow.length >= MIN_DOMAIN_CONTAINS_LENGTH) contacts.push(...searchContactDomains(idx, qLow));
+  for (const contact of contacts) {
+    if (contact) add('aroi', contact.domain.toLowerCase(), aroiResult(contact, idx));
+  }
+
+  // Families: full ID, shared prefix, member nickname
+  for (const f of [idx.familyIdMap.get(qUp), idx.familyPrefixMap.get(qLow), idx.familyNickMap.get(qLow)]) {
+    if (f && f.id) add('family', f.id, familyResult(f, idx));
+  }
+
+  // Relays: fingerprint, address, subnet, nickname prefix (contains as fallback)
+  const relays = found.relay;
+  const addRelay = (r) => { if (r && r.f) relays.set(r.f, r); };
+  if (RE_FULL_FINGERPRINT.test(q)) addRelay(idx.fpMap.get(qUp));
+  if (RE_ED25519_KEY.test(q)) addRelay(idx.edMap.get(q));
+  if (RE_PARTIAL_FINGERPRINT.test(q)) {
+    for (const [fp, r] of idx.fpMap) if (fp.startsWith(qUp)) addRelay(r);
+  }
+  if (RE_IP_CHARS.test(q)) addRelay(idx.ipMap.get(canonicalIp(q)));
+  if (RE_CIDR_CHARS.test(q)) {
+    const cidr = parseCidr(q);
+    if (cidr) for (const r of searchCidr(cidr, idx)) addRelay(r);
+  }
+  const containsMatches = [];
+  let hasPrefix = false;
+  for (const i of findSubstring(idx.nickGrams, qLow)) {
+    const nLow = idx.nickLower[i];
+    if (nLow.startsWith(qLow)) { addRelay(idx.relays[i]); hasPrefix = true; }
+    else if (!hasPrefix && nLow.includes(qLow)) containsMatches.push(idx.relays[i]);
+  }
+  if (!hasPrefix) for (const r of containsMatches) addRelay(r);
+
+  const types = GROUP_TYPES.filter(type => found[type].size > 0);
+  const total = types.reduce((n, type) => n + found[type].size, 0);
+
+  if (total === 0) {
+    const suggestions = didYouMean(qLow, idx);
+    return suggestions.length ? { type: 'not_found', suggestions } : { type: 'not_found' };
+  }
+  if (total === 1) {
+    const item = found[types[0]].values().next().value;
+    return types[0] === 'relay'
+      ? { type: 'relay', id: item.f }
+      : { type: types[0], id: item.id, fallback: item.fallback };
+  }
+
+  const groups = types.map((type) => {
+    if (type === 'relay') {
+      const paged = rankedResult([...relays.values()], qLow, idx, opts.page, '');
+      return { type, items: paged.matches, total: paged.total, page: paged.page, pageCount: paged.pageCount };
+    }
+    return { type, items: [...found[type].values()], total: found[type].size };
+  });
+  return { type: 'grouped', groups, hint: msg('hint.grouped', { total, types: types.length, q }) };
+}
+
 // =============================================================================
 // PAGE RENDERING
 // =============================================================================
 
-function renderPage(title, content, query) {
-  return HTML_HEAD_START + escapeHtml(title) + HTML_HEAD_END +
-    '<p class="back"><a href="/">← Back to home</a></p>\n' +
+/**
+ * Text for a message that is either a plain string (filter diagnostics)
+ * or a catalog reference from msg().
+ */
+function messageText(m, lang) {
+  if (!m) return '';
+  return typeof m === 'string' ? m : t(lang, m.key, m.params);
+}
+
+// Catalog reference, localized when rendered (JSON always uses English)
+function msg(key, params) {
+  return { key, params };
+}
+
+// Query-string suffix that keeps an explicit ?lang= on generated links
+function langSuffix(view) {
+  return view.explicit ? `&amp;lang=${view.lang}` : '';
+}
+
+/**
+ * @param {object} view - {lang, explicit} from negotiateLang
+ */
+function renderPage(title, content, query, view, modeAll) {
+  const html = HTML_FRAGMENTS[view.lang];
+  return HTML_DOCTYPE + view.lang + HTML_HEAD_START + escapeHtml(title) + HTML_HEAD_END +
+    html.back +
     `<h2>${escapeHtml(title)}</h2>\n` +
-    HTML_FORM_START + escapeHtml(query || '') + HTML_FORM_END +
-    '<div class="results">\n' + content + '</div>\n' + HTML_FOOTER;
+    html.formStart + escapeHtml(query || '') + html.formEnd +
+    (modeAll ? ' checked' : '') + html.formClose +
+    (view.explicit ? `<input type="hidden" name="lang" value="${view.lang}">\n` : '') + HTML_FORM_END +
+    '<div class="results">\n' + content + '</div>\n' + html.footer;
+}
+
+/**
+ * Previous/next links for paginated results (plain links, no script).
+ */
+function renderPager(query, page, pageCount, total, view, modeAll) {
+  const mode = modeAll ? '&amp;mode=all' : '';
+  const href = (p) => `/search?q=${escapeHtml(encodeURIComponent(query))}${mode}${langSuffix(view)}&amp;page=${p}`;
+  const prev = page > 1 ? `<a href="${href(page - 1)}" rel="prev">${t(view.lang, 'pager.prev')}</a>` : '';
+  const next = page < pageCount ? `<a href="${href(page + 1)}" rel="next">${t(view.lang, 'pager.next')}</a>` : '';
+  const status = t(view.lang, 'pager.status', { page, pageCount, total });
+  return `<p class="pager">${prev} <span>${status}</span> ${next}</p>\n`;
+}
+
+// Generic result card: linked title, optional inline detail and subline
+function renderCard(href, title, detail, sub) {
+  return `<div class="result-item"><a href="${href}"><strong>${title}</strong></a>` +
+    (detail ? ` · ${detail}` : '') +
+    (sub ? `<a href="${href}" class="fp">${sub}</a>` : '') + '</div>\n';
+}
+
+// First few values of a family's spread, with the remainder as "+N"
+function spreadText(values) {
+  if (!values || !values.length) return '';
+  const shown = values.slice(0, MAX_SPREAD_SHOWN).join(', ');
+  return escapeHtml(values.length > MAX_SPREAD_SHOWN ? `${shown} +${values.length - MAX_SPREAD_SHOWN}` : shown);
+}
+
+/**
+ * Family card: size, country and AS spread and operator inline, member
+ * nicknames below, then the family ID.
+ */
+function renderFamilyCard(m, href, lang) {
+  let operator = '';
+  if (m.a) {
+    const domain = escapeHtml(m.a);
+    operator = m.aroiPath ? `<a href="${escapeHtml(m.aroiPath)}" class="aroi">${domain}</a>` : domain;
+    if (m.v !== null && m.v !== undefined) operator += ` ${t(lang, m.v ? 'card.validated' : 'card.notValidated')}`;
+    if (m.v3p) operator += '<span class="ciiss-ver ciiss-ver-3">v3</span>';
+  }
+  const detail = [
+    m.sz ? t(lang, 'card.relays', { count: m.sz }) : '',
+    spreadText(m.cc),
+    spreadText(m.as),
+    operator,
+  ].filter(Boolean).join(' · ');
+  const members = m.members && m.members.length
+    ? `<span class="members">${escapeHtml(m.members.join(', '))}</span>` : '';
+  return `<div class="result-item"><a href="${href}"><strong>${escapeHtml(m.n || t(lang, 'card.family'))}</strong></a>` +
+    (detail ? ` · ${detail}` : '') + members +
+    `<a href="${href}" class="fp">${escapeHtml(m.id)}</a></div>\n`;
+}
+
+function renderMatch(m, lang) {
+  if (m.t === 'relay') {
+    const name = escapeHtml(m.n || t(lang, 'card.unnamed'));
+    const fp = escapeHtml(m.f);
+    const cc = m.cc ? escapeHtml(m.cc.toUpperCase()) + ' ' : '';
+    // Show AROI as link: /{domain}/ primary, /contact/{hash}/ fallback
+    const aroiHref = m.a ? `/${escapeHtml(m.a)}/` : (m.c ? `/contact/${escapeHtml(m.c)}/` : null);
+    const aroi = aroiHref ? ` · <a href="${aroiHref}" class="aroi">${escapeHtml(m.a || m.c)}</a>` : '';
+    // v1.6: CIISS version pill ('2' | '3'). m.vn is restricted by
+    // relayResult; any other value renders nothing.
+    const verBadge = m.vn === '3' ? '<span class="ciiss-ver ciiss-ver-3">v3</span>'
+                   : m.vn === '2' ? '<span class="ciiss-ver ciiss-ver-2">v2</span>'
+                   : '';
+    return `<div class="result-item"><a href="/relay/${fp}/"><strong>${name}</strong>${verBadge}</a>${aroi}<a href="/relay/${fp}/" class="fp">${cc}${fp}</a></div>\n`;
+  }
+
+  // Non-relay cards link to the path resolved by the handler (AROI pages
+  // may fall back to /contact/{hash}/); items without one are skipped.
+  if (!m.path) return '';
+  const href = escapeHtml(m.path);
+  const relays = (count) => (count ? t(lang, 'card.relays', { count }) : '');
+  switch (m.t) {
+    case 'family':
+      return renderFamilyCard(m, href, lang);
+    case 'aroi':
+      return renderCard(href, escapeHtml(m.id),
+        m.v === true ? `<span class="aroi">${t(lang, 'card.validated')}</span>`
+          : t(lang, m.v === false ? 'card.notValidated' : 'card.operator'), '');
+    case 'as':
+      return renderCard(href, escapeHtml(m.id),
+        [escapeHtml(m.n || ''), relays(m.count)].filter(Boolean).join(' · '), '');
+    case 'country':
+      return renderCard(href, escapeHtml(m.n), '', escapeHtml(m.id));
+    case 'platform':
+    case 'flag':
+      return renderCard(href, escapeHtml(m.id), t(lang, m.t === 'flag' ? 'card.flag' : 'card.platform'), '');
+    default:
+      return '';
+  }
+}
+
+function renderHint(hint, lang) {
+  const text = messageText(hint, lang);
+  return text ? `<p class="hint">${escapeHtml(text)}</p>\n` : '';
 }
 
-function renderDisambiguation(matches, query, hint) {
-  let content = hint ? `<p class="hint">${escapeHtml(hint)}</p>\n` : '';
+function renderDisambiguation(matches, query, hint, pagination, view, families) {
+  let content = renderHint(hint, view.lang);
+
+  // Relays from several families: one card per family above the relays
+  if (families && families.length) {
+    content += `<h4>${escapeHtml(t(view.lang, 'group.family'))} (${families.length})</h4>\n`;
+    for (const f of families) content += renderMatch(f, view.lang);
+    content += `<h4>${escapeHtml(t(view.lang, 'group.relay'))} (${pagination.total})</h4>\n`;
+  }
   
   for (let i = 0; i < matches.length; i++) {
-    const m = matches[i];
-    if (m.t === 'relay') {
-      const name = escapeHtml(m.n || 'Unnamed');
-      const fp = escapeHtml(m.f);
-      const cc = m.cc ? escapeHtml(m.cc.toUpperCase()) + ' ' : '';
-      // Show AROI as link: /{domain}/ primary, /contact/{hash}/ fallback
-      const aroiHref = m.a ? `/${escapeHtml(m.a)}/` : (m.c ? `/contact/${escapeHtml(m.c)}/` : null);
-      const aroi = aroiHref ? ` · <a href="${aroiHref}" class="aroi">${escapeHtml(m.a || m.c)}</a>` : '';
-      // v1.6: CIISS version pill ('2' | '3'). m.vn is restricted by
-      // relayResult; any other value renders nothing.
-      const verBadge = m.vn === '3' ? '<span class="ciiss-ver ciiss-ver-3">v3</span>'
-                     : m.vn === '2' ? '<span class="ciiss-ver ciiss-ver-2">v2</span>'
-                     : '';
-      content += `<div class="result-item"><a href="/relay/${fp}/"><strong>${name}</strong>${verBadge}</a>${aroi}<a href="/relay/${fp}/" class="fp">${cc}${fp}</a></div>\n`;
-    }
+    content += renderMatch(matches[i], view.lang);
+  }
+
+  if (pagination && pagination.pageCount > 1) {
+    content += renderPager(query, pagination.page, pagination.pageCount, pagination.total, view);
   }
   
-  return htmlResponse(renderPage('Search Results', content, query), 200);
+  return htmlResponse(renderPage(t(view.lang, 'title.results'), content, query, view), 200, view.lang);
 }
 
-function renderNotFound(query) {
-  const content = `<p>No relays, families, or operators found matching "<strong>${escapeHtml(query)}</strong>".</p>\n` + HTML_TIPS;
-  return htmlResponse(renderPage('No Results Found', content, query), 404);
+function renderGrouped(groups, query, hint, view) {
+  let content = renderHint(hint, view.lang);
+
+  for (const group of groups) {
+    content += `<h4>${escapeHtml(t(view.lang, 'group.' + group.type))} (${group.total})</h4>\n`;
+    for (const item of group.items) content += renderMatch(item, view.lang);
+    if (group.pageCount > 1) {
+      content += renderPager(query, group.page, group.pageCount, group.total, view, true);
+    }
+  }
+
+  return htmlResponse(renderPage(t(view.lang, 'title.results'), content, query, view, true), 200, view.lang);
+}
+
+function renderNotFound(query, suggestions, view) {
+  const { lang } = view;
+  let content = `<p>${t(lang, 'notFound.text', { query: `<strong>${escapeHtml(query)}</strong>` })}</p>\n`;
+  if (suggestions && suggestions.length) {
+    content += `<h4>${t(lang, 'notFound.didYouMean')}</h4>\n<ul>\n`;
+    for (const s of suggestions) {
+      content += `<li><a href="/search?q=${escapeHtml(encodeURIComponent(s.q))}${langSuffix(view)}">${escapeHtml(s.q)}</a> <span class="hint">${t(lang, 'kind.' + s.kind)}</span></li>\n`;
+    }
+    content += '</ul>\n';
+  }
+  content += HTML_FRAGMENTS[lang].tips;
+  return htmlResponse(renderPage(t(lang, 'title.notFound'), content, query, view), 404, lang);
+}
+
+function renderInvalid(error, query, view) {
+  const content = `<p class="text-danger">${escapeHtml(messageText(error, view.lang))}</p>\n`;
+  return htmlResponse(renderPage(t(view.lang, 'title.invalid'), content, query || '', view), 400, view.lang);
 }
 
-function renderInvalid(error) {
-  const content = `<p class="text-danger">${escapeHtml(error)}</p>\n`;
-  return htmlResponse(renderPage('Invalid Search Query', content, ''), 400);
+function renderRateLimited(retryAfter, query, view) {
+  const content = `<p class="text-danger">${escapeHtml(t(view.lang, 'rateLimited.text', { seconds: retryAfter }))}</p>\n`;
+  return htmlResponse(renderPage(t(view.lang, 'title.rateLimited'), content, query, view), 429, view.lang);
 }
 
-function renderError(err, query) {
+function renderError(err, query, view) {
+  const { lang } = view;
   const code = err.code || ERR.UNKNOWN;
   const message = err.message || 'Unknown error';
   const details = err.details || '';
   const timestamp = new Date().toISOString();
   
+  // Message and details are diagnostics and stay in English
   const content = 
-    `<p><strong>Error ${escapeHtml(code)}:</strong> ${escapeHtml(message)}</p>\n` +
+    `<p><strong>${escapeHtml(t(lang, 'error.heading', { code }))}</strong> ${escapeHtml(message)}</p>\n` +
     (details ? `<p>${escapeHtml(details)}</p>\n` : '') +
-    `<p class="hint">Timestamp: ${timestamp}</p>\n` +
-    `<p class="hint">If this persists, try again in a few minutes.</p>\n`;
+    `<p class="hint">${escapeHtml(t(lang, 'error.timestamp', { time: timestamp }))}</p>\n` +
+    `<p class="hint">${t(lang, 'error.retry')}</p>\n`;
   
-  return htmlResponse(renderPage('Search Error', content, query), 503);
+  return htmlResponse(renderPage(t(lang, 'title.error'), content, query, view), 503, lang);
 }
 
 // =============================================================================
@@ -752,62 +2199,787 @@ async function isAroiDomainValidated(idx, env, domain) {
   return false; // No backend verified, use hash fallback
 }
 
+// =============================================================================
+// OPENSEARCH SUGGESTIONS
+// =============================================================================
+
+// Sorted suggestion terms, built lazily per index (suggest traffic only)
+const suggestTermsCache = new WeakMap();
+
+/**
+ * Build a sorted term list for prefix suggestions.
+ * Sources: relay nicknames, family nicknames, AROI domains, AS numbers,
+ * country names. The first source to claim a completion wins, so a relay
+ * nickname is not repeated as a family nickname.
+ *
+ * @param {object} idx - Lookup structure from buildLookupMaps
+ * @returns {Array<{term: string, text: string, desc: string}>} Sorted by term
+ */
+function buildSuggestTerms(idx) {
+  const seen = new Set();
+  const terms = [];
+  const add = (text, desc) => {
+    const term = text.toLowerCase();
+    if (seen.has(term)) return;
+    seen.add(term);
+    terms.push({ term, text, desc });
+  };
+
+  for (const [nLow, relays] of idx.nickMultiMap) {
+    add(relays[0].n || nLow, relays.length === 1 ? 'Relay' : `${relays.length} relays`);
+  }
+  for (const [nickLow, f] of idx.familyNickMap) {
+    add(nickLow, f.sz ? `Family (${f.sz} relays)` : 'Family');
+  }
+  for (const contact of idx.contactDomainMap.values()) {
+    add(contact.domain, 'Operator');
+  }
+  for (const asNum of idx.asSet) {
+    add(asNum, idx.asNameMap.get(asNum) || 'Autonomous system');
+  }
+  for (const name of idx.ccDisplayMap.values()) {
+    add(name, 'Country');
+  }
+
+  terms.sort((a, b) => (a.term < b.term ? -1 : a.term > b.term ? 1 : 0));
+  return terms;
+}
+
+/**
+ * Prefix suggestions via binary search over the sorted term list.
+ * Digit-only queries also match AS numbers ("2494" → AS24940).
+ */
+function suggest(q, idx) {
+  let terms = suggestTermsCache.get(idx);
+  if (!terms) {
+    terms = buildSuggestTerms(idx);
+    suggestTermsCache.set(idx, terms);
+  }
+
+  const prefixes = [q.toLowerCase()];
+  if (/^\d+$/.test(q)) prefixes.push('as' + q);
+
+  const out = [];
+  for (const prefix of prefixes) {
+    let lo = 0, hi = terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (terms[mid].term < prefix) lo = mid + 1; else hi = mid;
+    }
+    for (let i = lo; i < terms.length && out.length < MAX_SUGGESTIONS; i++) {
+      if (!terms[i].term.startsWith(prefix)) break;
+      out.push(terms[i]);
+    }
+  }
+  return out;
+}
+
+function suggestionsResponse(q, items, origin, status) {
+  const body = [
+    q,
+    items.map(s => s.text),
+    items.map(s => s.desc),
+    items.map(s => `${origin}/search?q=${encodeURIComponent(s.text)}`),
+  ];
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': CONTENT_TYPE_SUGGESTIONS,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': status === 200 ? `public, max-age=${SUGGEST_CACHE_TTL_S}` : 'no-store',
+    },
+  });
+}
+
+/**
+ * /search/suggest?q=... - OpenSearch Suggestions JSON:
+ * [query, [completions], [descriptions], [urls]]
+ * Invalid queries get an empty suggestion list rather than an error page.
+ */
+export async function onSuggestRequest(ctx) {
+  if (ctx.request.method !== 'GET' && ctx.request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const url = new URL(ctx.request.url);
+  const { ok, q } = validateQuery(url.searchParams.get('q'));
+  if (!ok) return suggestionsResponse(q, [], url.origin, 200);
+
+  const limited = await checkRateLimit(ctx.request, ctx.env);
+  if (limited) {
+    return withRetryAfter(suggestionsResponse(q, [], url.origin, 429), limited.retryAfter);
+  }
+
+  try {
+    const idx = await loadColdShard(url.origin, ctx.env, ctx.waitUntil, 'nick', nickShardKey(q)) ||
+      await loadIndex(url.origin, ctx.env, ctx.waitUntil);
+    return withIndexState(suggestionsResponse(q, suggest(q, idx), url.origin, 200), idx);
+  } catch (e) {
+    console.error('Suggest error:', { code: e.code || ERR.UNKNOWN, message: e.message });
+    return suggestionsResponse(q, [], url.origin, 503);
+  }
+}
+
+/**
+ * /opensearch.xml - lets browsers add this site as a search engine.
+ * Templates use the request origin so previews point at themselves.
+ */
+export function onOpenSearchRequest(ctx) {
+  const origin = escapeHtml(new URL(ctx.request.url).origin);
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+<ShortName>Allium</ShortName>
+<Description>Search Tor relays by fingerprint, nickname, family, operator, AS, or country</Description>
+<InputEncoding>UTF-8</InputEncoding>
+<Url type="text/html" method="get" template="${origin}/search?q={searchTerms}"/>
+<Url type="application/x-suggestions+json" method="get" template="${origin}/search/suggest?q={searchTerms}"/>
+<Url type="application/opensearchdescription+xml" rel="self" template="${origin}/opensearch.xml"/>
+<moz:SearchForm>${origin}/</moz:SearchForm>
+</OpenSearchDescription>
+`;
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': CONTENT_TYPE_OPENSEARCH,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'public, max-age=86400',
+    },
+  });
+}
+
+// =============================================================================
+// BULK STATUS (POST /search/bulk)
+// =============================================================================
+
+function bulkInvalid(message, status = 400) {
+  return jsonResponse({ type: 'invalid', error: { code: ERR.QUERY_INVALID, message } }, status);
+}
+
+/**
+ * Request body as text, or null when it is over maxBytes bytes. Bytes are
+ * counted as they stream in, so a body without (or understating) its
+ * Content-Length is never buffered past the limit.
+ */
+async function readBodyText(request, maxBytes) {
+  if (!request.body) return '';
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Read the request body: a JSON array of up to MAX_BULK_QUERIES queries.
+ * @returns {Promise<{queries?: Array, response?: Response}>} queries, or
+ *   the 4xx response to send instead
+ */
+async function readBulkQueries(request) {
+  const length = Number(request.headers.get('Content-Length'));
+  if (length > MAX_BULK_BODY_BYTES) {
+    return { response: bulkInvalid(`Request body exceeds ${MAX_BULK_BODY_BYTES} bytes`, 413) };
+  }
+  const text = await readBodyText(request, MAX_BULK_BODY_BYTES);
+  if (text === null) {
+    return { response: bulkInvalid(`Request body exceeds ${MAX_BULK_BODY_BYTES} bytes`, 413) };
+  }
+
+  let queries;
+  try {
+    queries = JSON.parse(text);
+  } catch {
+    return { response: bulkInvalid('Request body must be a JSON array of queries') };
+  }
+  if (!Array.isArray(queries)) {
+    return { response: bulkInvalid('Request body must be a JSON array of queries') };
+  }
+  if (queries.length > MAX_BULK_QUERIES) {
+    return { response: bulkInvalid(`Too many queries (max ${MAX_BULK_QUERIES})`) };
+  }
+  return { queries };
+}
+
+// Operator page for a contact, resolved once per domain per bulk request.
+// Without validated_aroi_domains each domain is a storage probe; past
+// MAX_BULK_AROI_PROBES the rest link to their contact-hash page, as lists do
+function bulkAroi(domain, hash, idx, env, aroiPaths) {
+  const key = domain.toLowerCase();
+  if (!aroiPaths.has(key)) {
+    const probe = idx.validatedAroiSet || aroiPaths.size < MAX_BULK_AROI_PROBES;
+    const resolved = probe
+      ? resolveResultPath({ type: 'aroi', id: domain, fallback: hash }, idx, env)
+      : Promise.resolve(aroiResult({ domain, hash }, idx).path);
+    aroiPaths.set(key, resolved
+      .then(path => (path && isSafeRedirectPath(path) ? { id: domain, path } : null))
+      .catch(() => null));
+  }
+  return aroiPaths.get(key);
+}
+
+/**
+ * Resolve one bulk query like /search?format=json does, and for relay and
+ * family matches also report the family and operator (AROI) pages.
+ */
+async function bulkItem(raw, idx, env, aroiPaths) {
+  if (typeof raw !== 'string') {
+    return { query: null, type: 'invalid', resolved: false, error: 'Query must be a string' };
+  }
+  const { ok, q, err } = validateQuery(raw);
+  if (!ok) {
+    const error = err === 'empty' ? 'Query is empty' : messageText(err, DEFAULT_LANG);
+    return { query: raw.slice(0, MAX_QUERY_LENGTH), type: 'invalid', resolved: false, error };
+  }
+
+  const result = search(q, idx, { suggestions: false });
+  const item = { query: q, type: result.type, resolved: false };
+  if (result.type === 'multiple') {
+    item.total = result.total ?? result.matches.length;
+    return item;
+  }
+  if (result.type === 'invalid') {
+    item.error = messageText(result.error, DEFAULT_LANG);
+    return item;
+  }
+
+  let path = null;
+  if (result.type === 'aroi' && result.fallback) {
+    // Shares the per-request probe budget with operator lookups below
+    path = (await bulkAroi(result.id, result.fallback, idx, env, aroiPaths))?.path || null;
+  } else {
+    try {
+      path = await resolveResultPath(result, idx, env);
+    } catch {
+      // Unsafe ID: report as unresolved rather than fail the whole batch
+    }
+  }
+  if (!path || !isSafeRedirectPath(path)) return item;
+  Object.assign(item, { resolved: true, id: result.id, path });
+
+  const relay = result.type === 'relay' ? idx.fpMap.get(result.id) : null;
+  const family = result.type === 'family' ? idx.familyIdMap.get(result.id)
+    : relay?.fam ? idx.familyIdMap.get(relay.fam) : null;
+  if (relay) item.relay = { id: relay.f, nickname: relay.n || null, path };
+  if (family && isSafePath(family.id)) {
+    item.family = { id: family.id, path: `/family/${family.id}/` };
+  }
+
+  // Operator: the relay's own contact, else its family's
+  const contact = relay?.a && relay.c ? { domain: relay.a, hash: relay.c }
+    : family?.a && Array.isArray(family.c) && family.c.length ? { domain: family.a, hash: family.c[0] }
+    : null;
+  if (contact) {
+    const aroi = await bulkAroi(contact.domain, contact.hash, idx, env, aroiPaths);
+    if (aroi) item.aroi = aroi;
+  }
+  return item;
+}
+
+/**
+ * POST /search/bulk - JSON array of fingerprints, nicknames, IPs or any
+ * other search query in; per-query resolution status out, in input order:
+ * {total, resolved, results: [{query, type, resolved, id?, path?, relay?,
+ * family?, aroi?, total?, error?}]}
+ * Each query takes one rate-limit token. Queries beyond the tokens left
+ * come back as type "rate_limited" with Retry-After on the response; with
+ * no token left the whole request gets 429.
+ */
+export async function onBulkRequest(ctx) {
+  if (ctx.request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: { Allow: 'POST' } });
+  }
+
+  const { queries, response } = await readBulkQueries(ctx.request);
+  if (response) return response;
+
+  // One token per query: a batch costs what the same searches sent one by one would
+  const { granted, retryAfter } = await takeBatchTokens(ctx.request, ctx.env, Math.max(1, queries.length));
+  if (granted < 1) return respondRateLimited('json', '', retryAfter, null);
+
+  const url = new URL(ctx.request.url);
+  try {
+    const idx = await loadIndex(url.origin, ctx.env, ctx.waitUntil);
+    const aroiPaths = new Map();
+    const results = [];
+    for (let i = 0; i < queries.length; i++) {
+      results.push(i < granted
+        ? await bulkItem(queries[i], idx, ctx.env, aroiPaths)
+        : { query: typeof queries[i] === 'string' ? queries[i].slice(0, MAX_QUERY_LENGTH) : null, type: 'rate_limited', resolved: false });
+    }
+    const resolved = results.reduce((n, item) => n + (item.resolved ? 1 : 0), 0);
+    const res = withIndexState(jsonResponse({ total: results.length, resolved, results }, 200), idx);
+    return retryAfter ? withRetryAfter(res, retryAfter) : res;
+  } catch (e) {
+    return handleError(e, '', 'json', null);
+  }
+}
+
+// =============================================================================
+// HEALTH (/search/_health)
+// =============================================================================
+
+const HEALTH_SECRET_HEADER = 'X-Search-Health-Secret';
+
+// Entry counts of the lookup structures built from the index
+function lookupSizes(idx) {
+  return {
+    fingerprints: idx.fpMap.size,
+    ed25519Keys: idx.edMap.size,
+    nicknames: idx.nickMultiMap.size,
+    ips: idx.ipMap.size,
+    asNumbers: idx.asSet.size,
+    asNames: idx.asNameMap.size,
+    countries: idx.ccSet.size,
+    contactDomains: idx.contactDomainMap.size,
+    contactHashes: idx.contactHashMap.size,
+    familyIds: idx.familyIdMap.size,
+    familyPrefixes: idx.familyPrefixMap.size,
+    familyNicknames: idx.familyNickMap.size,
+    validatedAroiDomains: idx.validatedAroiSet ? idx.validatedAroiSet.size : null,
+    firstSeenDays: idx.firstSeenDayCount.size,
+  };
+}
+
+/**
+ * /search/_health - search readiness for verifiers and monitors. Loads the
+ * index if this isolate has none yet. 200 with status "ok" or "stale"
+ * (serving the last good index after a failed refresh), 503 with status
+ * "error" when no index can be loaded. When SEARCH_HEALTH_SECRET is set the
+ * X-Search-Health-Secret header must match (compared in constant time).
+ * Counts against the search rate limit (429 with Retry-After).
+ */
+export async function onHealthRequest(ctx) {
+  if (ctx.request.method !== 'GET' && ctx.request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  // Limited like /search: a health check can load the whole index, and
+  // the limit also slows guessing of the secret
+  const limited = await checkRateLimit(ctx.request, ctx.env);
+  if (limited) return respondRateLimited('json', '', limited.retryAfter, null);
+
+  const secret = ctx.env?.SEARCH_HEALTH_SECRET;
+  if (secret && !(await secretMatches(ctx.request.headers.get(HEALTH_SECRET_HEADER), secret))) {
+    return jsonResponse({ status: 'unauthorized' }, 401);
+  }
+
+  const url = new URL(ctx.request.url);
+  let idx = null;
+  try {
+    idx = await loadIndex(url.origin, ctx.env, ctx.waitUntil);
+  } catch {
+    // Reported below through lastLoadError
+  }
+
+  const now = Date.now();
+  return jsonResponse({
+    status: !idx ? 'error' : lastRefreshError ? 'stale' : 'ok',
+    source: ctx.env?.ALLIUM_ASSETS ? 'assets' : 'pages-fetch',
+    index: idx && {
+      version: idx.meta.version || null,
+      generatedAt: idx.meta.generated_at || null,
+      adapter: idx.adapter,
+      etag: cachedEtag,
+      relays: idx.relays.length,
+      families: idx.families.length,
+    },
+    lookups: idx && lookupSizes(idx),
+    loadedAt: idx ? new Date(indexLoadedAt).toISOString() : null,
+    loadMs: idx ? lastLoadMs : null,
+    cacheAgeMs: idx ? now - indexCheckedAt : null,
+    lastError: lastLoadError,
+  }, idx ? 200 : 503);
+}
+
+// =============================================================================
+// SEARCH ANALYTICS
+// =============================================================================
+
+/**
+ * Coarse query class from the query's shape alone, in search() step order.
+ * Only this label is recorded, never the query text. With the index, bare
+ * dates count as first_seen only when search() reads them that way.
+ */
+function classifyQuery(q, idx) {
+  if (contactQueryDomain(q)) return 'contact';
+  if (isFilterQuery(q)) return 'filter';
+  if (idx ? isBareFirstSeen(q, idx) : RE_BARE_DATE.test(q)) return 'first_seen';
+  if (RE_FULL_FINGERPRINT.test(q)) return 'fingerprint';
+  if (RE_PARTIAL_FINGERPRINT.test(q)) return 'partial_fingerprint';
+  if (RE_ED25519_KEY.test(q)) return 'ed25519';
+  if (RE_AS_NUMBER.test(q)) return 'as_number';
+  if (RE_COUNTRY_CODE.test(q)) return 'country_code';
+  if (RE_CIDR_CHARS.test(q)) return 'cidr';
+  if (RE_IP_CHARS.test(q) && canonicalIp(q)) return 'ip';
+  if (q.includes('.')) return 'domain';
+  return 'name';  // nickname, country/AS/family name, contact prefix
+}
+
+/**
+ * Write one aggregate point per /search request to the optional
+ * SOURCE_EVENTS Analytics Engine binding. Blobs are fixed labels (query
+ * class, outcome, ERR code, matched type, mode, colo); the query, client
+ * IP and user agent are never written.
+ * @param {object} event - {queryClass, outcome, code, match, modeAll}
+ * @param {number} started - Date.now() when the request arrived
+ */
+function recordSearchEvent(ctx, event, started) {
+  const env = ctx.env;
+  if (!env?.SOURCE_EVENTS) return;
+
+  const now = Date.now();
+  const builtAt = indexBuiltAt();
+  try {
+    env.SOURCE_EVENTS.writeDataPoint({
+      indexes: ['allium-search'],
+      blobs: [
+        event.queryClass,
+        event.outcome,
+        event.code || '',
+        event.match || '',
+        event.modeAll ? 'all' : 'default',
+        ctx.request.cf?.colo || 'unknown',
+      ],
+      // Index age is -1 while the isolate has never loaded an index
+      doubles: [1, now - started, builtAt ? now - builtAt : -1],
+    });
+  } catch {
+    // Observability must never affect search responses.
+  }
+}
+
+/**
+ * When the served index (or the cold manifest) was generated: its
+ * meta.generated_at, else the time this isolate built it. Revalidation
+ * (304) keeps this unchanged, so the age recorded grows with the index.
+ * @returns {number} Epoch ms, or 0 before the first load
+ */
+function indexBuiltAt() {
+  const meta = cachedIndex?.meta || cachedManifest?.meta;
+  const generated = Date.parse(meta?.generated_at);
+  if (Number.isFinite(generated)) return generated;
+  return cachedIndex ? indexLoadedAt : 0;
+}
+
+// =============================================================================
+// RESOLUTION CACHE
+// =============================================================================
+
+// Cacheable outcomes: redirects and rendered pages. Errors, 429s and
+// responses from a stale index are never stored.
+const CACHEABLE_STATUSES = new Set([200, 302, 400, 404]);
+
+// Headers swapped out for the stored copy and restored on a hit
+const CACHED_CACHE_CONTROL = 'X-Search-Cached-Cache-Control';
+const CACHED_VARY = 'X-Search-Cached-Vary';
+const CACHED_EVENT = 'X-Search-Cached-Event';
+
+/**
+ * Generation of the index that would answer this request: the ETag of
+ * search-index.json (the manifest when sharded), or meta.version plus
+ * meta.generated_at when the asset has no ETag. A cold isolate reads the
+ * ETag from a HEAD request, so a cache hit loads neither the index nor its
+ * shards; without an ETag it falls back to the manifest or the index.
+ * Returns null (no caching) when the generation cannot be identified.
+ */
+async function indexGeneration(origin, env, waitUntil) {
+  let meta, etag;
+  if (!cachedIndex) {
+    etag = await headIndexEtag(origin, env);
+    if (etag) return etag;
+  }
+  const manifest = cachedIndex ? null : await getManifest(origin, env);
+  if (manifest) {
+    meta = manifest.meta;
+    etag = manifestEtag;
+  } else {
+    // Fresh, stale-while-revalidate or just adopted: the index search() uses
+    meta = (await loadIndex(origin, env, waitUntil)).meta;
+    etag = cachedEtag;
+  }
+  if (etag) return etag;
+  return meta?.generated_at ? `${meta.version || ''}/${meta.generated_at}` : null;
+}
+
+/**
+ * Cache key: index generation plus every input that shapes the response
+ * (query, format, mode, page, page language and whether ?lang= was given).
+ */
+function resolutionCacheKey(url, q, format, view, generation) {
+  const params = new URLSearchParams({
+    q,
+    format,
+    mode: url.searchParams.get('mode') === 'all' ? 'all' : '',
+    page: String(parsePage(url.searchParams.get('page'))),
+    lang: format === 'html' ? view.lang + (view.explicit ? '!' : '') : '',
+  });
+  return new Request(`${url.origin}/search/_cache/${encodeURIComponent(generation)}?${params}`, { method: 'GET' });
+}
+
+async function matchResolution(key, event) {
+  let cached;
+  try {
+    cached = await caches.default.match(key);
+  } catch (e) {
+    console.error('Search cache read failed:', { message: e.message });
+  }
+  if (!cached) return null;
+
+  const headers = new Headers(cached.headers);
+  for (const [saved, name] of [[CACHED_CACHE_CONTROL, 'Cache-Control'], [CACHED_VARY, 'Vary']]) {
+    if (headers.has(saved)) headers.set(name, headers.get(saved));
+    else headers.delete(name);
+    headers.delete(saved);
+  }
+  const [outcome = 'redirect', code = '', match = '', queryClass = event.queryClass] =
+    (headers.get(CACHED_EVENT) || '').split(' ');
+  Object.assign(event, { outcome, code, match, queryClass });
+  headers.delete(CACHED_EVENT);
+  headers.set('X-Search-Cache', 'HIT');
+
+  return new Response(cached.body, { status: cached.status, headers });
+}
+
+async function storeResolution(ctx, key, response, event) {
+  if (!CACHEABLE_STATUSES.has(response.status) || response.headers.has('X-Search-Index')) return;
+
+  const headers = new Headers(response.headers);
+  for (const [saved, name] of [[CACHED_CACHE_CONTROL, 'Cache-Control'], [CACHED_VARY, 'Vary']]) {
+    if (headers.has(name)) headers.set(saved, headers.get(name));
+  }
+  headers.delete('Vary');
+  headers.set('Cache-Control', `public, max-age=${RESOLUTION_CACHE_TTL_S}`);
+  headers.set(CACHED_EVENT, [event.outcome, event.code || '', event.match || '', event.queryClass].join(' '));
+
+  const copy = new Response(response.clone().body, { status: response.status, headers });
+  const put = (async () => caches.default.put(key, copy))()
+    .catch((e) => console.error('Search cache write failed:', { message: e.message }));
+  if (typeof ctx.waitUntil === 'function') ctx.waitUntil(put);
+  else await put;
+}
+
 // =============================================================================
 // REQUEST HANDLER
 // =============================================================================
 
+/**
+ * Resolve a single-match search result to its site path.
+ * Returns null for result types without a page (multiple, not_found).
+ */
+async function resolveResultPath(result, idx, env) {
+  const pathType = RESULT_TYPE_PATHS[result.type];
+  if (pathType === undefined || !result.id) return null;
+
+  if (!isSafePath(result.id)) {
+    // Fallback to hash-based URL if domain path is invalid
+    if (result.fallback && isSafePath(result.fallback)) {
+      return `/contact/${result.fallback}/`;
+    }
+    throw new Error('Invalid ID');
+  }
+
+  // For AROI domains, verify the domain page exists before redirecting
+  // If domain is not validated (misconfigured), use contact hash fallback
+  if (result.type === 'aroi' && result.fallback) {
+    const isValidated = await isAroiDomainValidated(idx, env, result.id);
+    if (!isValidated && isSafePath(result.fallback)) {
+      return `/contact/${result.fallback}/`;
+    }
+  }
+
+  // Empty pathType means ID is the full path (e.g., aroi: /1aeo.com/)
+  return pathType ? `/${pathType}/${result.id}/` : `/${result.id}/`;
+}
+
+/**
+ * Attach resolved paths to non-relay items of a mixed-type result.
+ * Items that already carry a path (AS, operator) are kept as-is; items
+ * whose ID is not a safe path segment are dropped.
+ */
+async function resolveGroupPaths(result, idx, env) {
+  for (const group of result.groups) {
+    if (group.type === 'relay') continue;
+    const resolved = [];
+    for (const item of group.items) {
+      if (item.path) { resolved.push(item); continue; }
+      try {
+        const path = await resolveResultPath({ type: item.t, id: item.id, fallback: item.fallback }, idx, env);
+        if (path && isSafeRedirectPath(path)) resolved.push({ ...item, path });
+      } catch {
+        // Unsafe ID: omit the card rather than fail the whole page
+      }
+    }
+    group.items = resolved;
+  }
+}
+
+function respondJson(result, path, q) {
+  if (path) {
+    if (!isSafeRedirectPath(path)) {
+      return jsonResponse({
+        query: q,
+        type: 'error',
+        error: { code: ERR.REDIRECT_BLOCKED, message: 'Invalid redirect' },
+      }, 400);
+    }
+    return jsonResponse({ query: q, type: result.type, id: result.id, path }, 200);
+  }
+  if (result.type === 'multiple') {
+    const body = { query: q, type: 'multiple', hint: messageText(result.hint, DEFAULT_LANG), matches: result.matches };
+    if (result.total !== undefined) {
+      Object.assign(body, { total: result.total, page: result.page, pageCount: result.pageCount });
+    }
+    if (result.order) body.order = result.order;
+    if (result.families) body.families = result.families;
+    return jsonResponse(body, 200);
+  }
+  if (result.type === 'grouped') {
+    return jsonResponse({ query: q, type: 'grouped', hint: messageText(result.hint, DEFAULT_LANG), groups: result.groups }, 200);
+  }
+  if (result.type === 'invalid') {
+    return jsonResponse({
+      query: q,
+      type: 'invalid',
+      error: { code: ERR.QUERY_INVALID, message: messageText(result.error, DEFAULT_LANG) },
+    }, 400);
+  }
+  const body = { query: q, type: 'not_found' };
+  if (result.suggestions) body.suggestions = result.suggestions;
+  return jsonResponse(body, 404);
+}
+
+function respondRateLimited(format, q, retryAfter, view) {
+  const response = format === 'json'
+    ? jsonResponse({
+      query: q,
+      type: 'error',
+      error: { code: ERR.RATE_LIMITED, message: `Too many requests, retry after ${retryAfter} seconds` },
+    }, 429)
+    : renderRateLimited(retryAfter, q, view);
+  return withRetryAfter(response, retryAfter);
+}
+
+/**
+ * Run the search and build the response for a validated query.
+ * @param {object} view - {lang, explicit} for HTML pages
+ * @param {object} event - analytics event, given the outcome here
+ */
+async function respondToQuery(ctx, url, format, q, idx, view, event) {
+  const opts = { page: parsePage(url.searchParams.get('page')) };
+  const result = event.modeAll ? searchAll(q, idx, opts) : search(q, idx, opts);
+  const path = await resolveResultPath(result, idx, ctx.env);
+  if (result.type === 'grouped') await resolveGroupPaths(result, idx, ctx.env);
+
+  if (!path) {
+    event.outcome = result.type;
+    if (result.type === 'invalid') event.code = ERR.QUERY_INVALID;
+  } else if (isSafeRedirectPath(path)) {
+    event.outcome = 'redirect';
+    event.match = result.type;
+  } else {
+    event.outcome = 'error';
+    event.code = ERR.REDIRECT_BLOCKED;
+  }
+
+  if (format === 'json') return respondJson(result, path, q);
+
+  // Direct redirect for single-match types
+  if (path) return safeRedirect(url.origin, path);
+  
+  // Multiple matches
+  if (result.type === 'multiple') {
+    return renderDisambiguation(result.matches, q, result.hint, result, view, result.families);
+  }
+
+  // Candidates of several types (?mode=all)
+  if (result.type === 'grouped') return renderGrouped(result.groups, q, result.hint, view);
+
+  // Query parsed but rejected (e.g., unknown filter key)
+  if (result.type === 'invalid') return renderInvalid(result.error, q, view);
+  
+  return renderNotFound(q, result.suggestions, view);
+}
+
 export async function onRequest(ctx) {
   // Only handle GET and HEAD requests
   if (ctx.request.method !== 'GET' && ctx.request.method !== 'HEAD') {
     return new Response('Method not allowed', { status: 405 });
   }
   
+  const started = Date.now();
   const url = new URL(ctx.request.url);
+  const format = getResponseFormat(ctx.request, url);
+  const view = negotiateLang(ctx.request.headers.get('Accept-Language'), url.searchParams.get('lang'));
   const { ok, q, err } = validateQuery(url.searchParams.get('q'));
+  const modeAll = url.searchParams.get('mode') === 'all';
   
   if (!ok) {
-    return err === 'empty' ? Response.redirect(url.origin + '/', 302) : renderInvalid(err);
+    recordSearchEvent(ctx, {
+      queryClass: err === 'empty' ? 'empty' : 'rejected',
+      outcome: 'invalid',
+      code: ERR.QUERY_INVALID,
+      modeAll,
+    }, started);
+    if (format === 'json') {
+      return jsonResponse({
+        query: '',
+        type: 'invalid',
+        error: { code: ERR.QUERY_INVALID, message: err === 'empty' ? 'Query is empty' : messageText(err, DEFAULT_LANG) },
+      }, 400);
+    }
+    return err === 'empty' ? Response.redirect(url.origin + '/', 302) : renderInvalid(err, '', view);
   }
   
+  const event = { queryClass: classifyQuery(q), outcome: 'error', code: '', modeAll };
   try {
-    const idx = await loadIndex(url.origin, ctx.env);
-    const result = search(q, idx);
-    
-    // Direct redirect for single-match types
-    const pathType = RESULT_TYPE_PATHS[result.type];
-    if (pathType !== undefined && result.id) {
-      if (!isSafePath(result.id)) {
-        // Fallback to hash-based URL if domain path is invalid
-        if (result.fallback && isSafePath(result.fallback)) {
-          return safeRedirect(url.origin, `/contact/${result.fallback}/`);
-        }
-        return handleError(new Error('Invalid ID'), q);
-      }
-      
-      // For AROI domains, verify the domain page exists before redirecting
-      // If domain is not validated (misconfigured), use contact hash fallback
-      if (result.type === 'aroi' && result.fallback) {
-        const isValidated = await isAroiDomainValidated(idx, ctx.env, result.id);
-        if (!isValidated) {
-          // Domain not validated, redirect to contact hash instead
-          if (isSafePath(result.fallback)) {
-            return safeRedirect(url.origin, `/contact/${result.fallback}/`);
-          }
-        }
-      }
-      
-      // Empty pathType means ID is the full path (e.g., aroi: /1aeo.com/)
-      const path = pathType ? `/${pathType}/${result.id}/` : `/${result.id}/`;
-      return safeRedirect(url.origin, path);
+    const limited = await checkRateLimit(ctx.request, ctx.env);
+    if (limited) {
+      event.code = ERR.RATE_LIMITED;
+      return respondRateLimited(format, q, limited.retryAfter, view);
     }
-    
-    // Multiple matches
-    if (result.type === 'multiple') {
-      return renderDisambiguation(result.matches, q, result.hint);
+
+    // Resolutions are cached per index generation, so a hit can never come
+    // from an older index than the one that would answer now
+    const generation = typeof caches !== 'undefined'
+      ? await indexGeneration(url.origin, ctx.env, ctx.waitUntil)
+      : null;
+    const cacheKey = generation ? resolutionCacheKey(url, q, format, view, generation) : null;
+    if (cacheKey) {
+      const hit = await matchResolution(cacheKey, event);
+      if (hit) return hit;
     }
-    
-    return renderNotFound(q);
+
+    // A full fingerprint is fully decided by its fp shard (mode=all also
+    // scans families and prefixes, so it needs the full index)
+    const shardIdx = RE_FULL_FINGERPRINT.test(q) && !modeAll
+      ? await loadColdShard(url.origin, ctx.env, ctx.waitUntil, 'fp', q.charAt(0).toUpperCase())
+      : null;
+    const idx = shardIdx || await loadIndex(url.origin, ctx.env, ctx.waitUntil);
+    event.queryClass = classifyQuery(q, idx);
+    const response = withIndexState(await respondToQuery(ctx, url, format, q, idx, view, event), idx);
+    if (cacheKey) {
+      response.headers.set('X-Search-Cache', 'MISS');
+      await storeResolution(ctx, cacheKey, response, event);
+    }
+    return response;
   } catch (e) {
-    return handleError(e, q);
+    event.outcome = 'error';
+    event.code = e.code || ERR.UNKNOWN;
+    return handleError(e, q, format, view);
+  } finally {
+    recordSearchEvent(ctx, event, started);
   }
 }
@@ -24,6 +24,11 @@ CF_ASSETS_ENV_OVERRIDES=(
     CF_ASSETS_WORKER_NAME
     CF_ASSETS_PREVIEW_ALIAS
     CF_ASSETS_COMPATIBILITY_DATE
+    CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE
+    CF_ASSETS_SEARCH_RATE_LIMIT_BURST
+    CF_ASSETS_SEARCH_RATE_LIMITER_DO
+    SOURCE_EVENTS_ENABLED
+    SOURCE_EVENTS_DATASET
     CF_ASSETS_DIRECTORY
     CF_ASSETS_TEMPLATE
     CF_ASSETS_CONFIG
@@ -60,6 +65,11 @@ CF_ASSETS_ALLOW_PROMOTION="${CF_ASSETS_ALLOW_PROMOTION:-false}"
 CF_ASSETS_WORKER_NAME="${CF_ASSETS_WORKER_NAME:-allium-metrics-assets}"
 CF_ASSETS_PREVIEW_ALIAS="${CF_ASSETS_PREVIEW_ALIAS:-allium-candidate}"
 CF_ASSETS_COMPATIBILITY_DATE="${CF_ASSETS_COMPATIBILITY_DATE:-2026-07-26}"
+CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE="${CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE:-0}"
+CF_ASSETS_SEARCH_RATE_LIMIT_BURST="${CF_ASSETS_SEARCH_RATE_LIMIT_BURST:-0}"
+CF_ASSETS_SEARCH_RATE_LIMITER_DO="${CF_ASSETS_SEARCH_RATE_LIMITER_DO:-false}"
+SOURCE_EVENTS_ENABLED="${SOURCE_EVENTS_ENABLED:-false}"
+SOURCE_EVENTS_DATASET="${SOURCE_EVENTS_DATASET:-allium_source_events}"
 CF_ASSETS_DIRECTORY="${CF_ASSETS_DIRECTORY:-${OUTPUT_DIR:-$HOME/metrics-output}}"
 CF_ASSETS_TEMPLATE="${CF_ASSETS_TEMPLATE:-$DEPLOY_DIR/wrangler.assets.toml.template}"
 CF_ASSETS_CONFIG="${CF_ASSETS_CONFIG:-$DEPLOY_DIR/wrangler.assets.toml}"
@@ -149,12 +159,26 @@ escape_sed_replacement() {
 }
 
 generate_config() {
-    local worker_name compatibility_date assets_directory
+    local worker_name compatibility_date assets_directory source_events_section rate_limiter_section
 
     [[ -f "$CF_ASSETS_TEMPLATE" ]] || { log "missing template: $CF_ASSETS_TEMPLATE"; return 1; }
     [[ -d "$CF_ASSETS_DIRECTORY" ]] || { log "missing assets directory: $CF_ASSETS_DIRECTORY"; return 1; }
     [[ -f "$CF_ASSETS_HEADERS_SOURCE" ]] || { log "missing headers source: $CF_ASSETS_HEADERS_SOURCE"; return 1; }
     [[ -f "$CF_ASSETS_404_SOURCE" ]] || { log "missing 404 source: $CF_ASSETS_404_SOURCE"; return 1; }
+    [[ "$CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE" =~ ^[0-9]{1,6}$ ]] || {
+        log "invalid CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE=$CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE"
+        return 1
+    }
+    [[ "$CF_ASSETS_SEARCH_RATE_LIMIT_BURST" =~ ^[0-9]{1,6}$ ]] || {
+        log "invalid CF_ASSETS_SEARCH_RATE_LIMIT_BURST=$CF_ASSETS_SEARCH_RATE_LIMIT_BURST"
+        return 1
+    }
+    assert_boolean_setting CF_ASSETS_SEARCH_RATE_LIMITER_DO "$CF_ASSETS_SEARCH_RATE_LIMITER_DO"
+    assert_boolean_setting SOURCE_EVENTS_ENABLED "$SOURCE_EVENTS_ENABLED"
+    [[ "$SOURCE_EVENTS_DATASET" =~ ^[A-Za-z0-9_]{1,64}$ ]] || {
+        log "invalid SOURCE_EVENTS_DATASET=$SOURCE_EVENTS_DATASET"
+        return 1
+    }
 
     if ! cmp -s "$CF_ASSETS_HEADERS_SOURCE" "$CF_ASSETS_DIRECTORY/_headers"; then
         install -m 0644 "$CF_ASSETS_HEADERS_SOURCE" "$CF_ASSETS_DIRECTORY/_headers"
@@ -166,11 +190,39 @@ generate_config() {
     worker_name=$(escape_sed_replacement "$CF_ASSETS_WORKER_NAME")
     compatibility_date=$(escape_sed_replacement "$CF_ASSETS_COMPATIBILITY_DATE")
     assets_directory=$(escape_sed_replacement "$CF_ASSETS_DIRECTORY")
+    if [[ "$SOURCE_EVENTS_ENABLED" == "true" ]]; then
+        source_events_section="[[analytics_engine_datasets]]
+binding = \"SOURCE_EVENTS\"
+dataset = \"${SOURCE_EVENTS_DATASET}\""
+    else
+        source_events_section="# Sparse source telemetry disabled (SOURCE_EVENTS_ENABLED=false)"
+    fi
+    # `versions upload` cannot apply Durable Object migrations, and Workers
+    # that implement Durable Objects get no preview URLs, so the binding is
+    # opt-in and its migration is applied once with `wrangler deploy`.
+    if [[ "$CF_ASSETS_SEARCH_RATE_LIMITER_DO" == "true" ]]; then
+        rate_limiter_section="[[durable_objects.bindings]]
+name = \"SEARCH_RATE_LIMITER\"
+class_name = \"SearchRateLimiter\"
+
+[[migrations]]
+tag = \"v1\"
+new_sqlite_classes = [ \"SearchRateLimiter\" ]"
+    else
+        rate_limiter_section="# Per-isolate in-memory rate limiting (CF_ASSETS_SEARCH_RATE_LIMITER_DO=false)"
+    fi
 
     sed -e "s|{{CF_ASSETS_WORKER_NAME}}|$worker_name|g" \
         -e "s|{{CF_ASSETS_COMPATIBILITY_DATE}}|$compatibility_date|g" \
         -e "s|{{CF_ASSETS_DIRECTORY}}|$assets_directory|g" \
-        "$CF_ASSETS_TEMPLATE" > "$CF_ASSETS_CONFIG.tmp"
+        -e "s|{{CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE}}|$CF_ASSETS_SEARCH_RATE_LIMIT_PER_MINUTE|g" \
+        -e "s|{{CF_ASSETS_SEARCH_RATE_LIMIT_BURST}}|$CF_ASSETS_SEARCH_RATE_LIMIT_BURST|g" \
+        "$CF_ASSETS_TEMPLATE" \
+        | awk -v source_events_section="$source_events_section" -v rate_limiter_section="$rate_limiter_section" '
+            /\{\{SEARCH_RATE_LIMITER_SECTION\}\}/ { print rate_limiter_section; next }
+            /\{\{SOURCE_EVENTS_SECTION\}\}/ { print source_events_section; next }
+            { print }
+        ' > "$CF_ASSETS_CONFIG.tmp"
     mv "$CF_ASSETS_CONFIG.tmp" "$CF_ASSETS_CONFIG"
 
     if grep -Eq '(^|[[:space:]])routes?[[:space:]]*=|custom_domain[[:space:]]*=' "$CF_ASSETS_CONFIG"; then
@@ -194,6 +194,11 @@ CACHE_KEY_ORIGIN="${CACHE_KEY_ORIGIN:-${SITE_URL:-https://metrics.example.com}}"
 PURGE_SECRET="${PURGE_SECRET:-}"
 SOURCE_EVENTS_ENABLED="${SOURCE_EVENTS_ENABLED:-false}"
 SOURCE_EVENTS_DATASET="${SOURCE_EVENTS_DATASET:-allium_source_events}"
+SEARCH_RATE_LIMIT_PER_MINUTE="${SEARCH_RATE_LIMIT_PER_MINUTE:-0}"
+SEARCH_RATE_LIMIT_BURST="${SEARCH_RATE_LIMIT_BURST:-0}"
+SEARCH_RATE_LIMIT_SECRET="${SEARCH_RATE_LIMIT_SECRET:-}"
+SEARCH_RATE_LIMIT_DO_SCRIPT="${SEARCH_RATE_LIMIT_DO_SCRIPT:-}"
+SEARCH_HEALTH_SECRET="${SEARCH_HEALTH_SECRET:-}"
 
 if [[ ! "$CACHE_KEY_ORIGIN" =~ ^https://[a-z0-9][a-z0-9.-]*[a-z0-9]/?$ ]]; then
     echo "❌ CACHE_KEY_ORIGIN must be an HTTPS origin without a path, query, or fragment"
@@ -201,6 +206,15 @@ if [[ ! "$CACHE_KEY_ORIGIN" =~ ^https://[a-z0-9][a-z0-9.-]*[a-z0-9]/?$ ]]; then
 fi
 CACHE_KEY_ORIGIN="${CACHE_KEY_ORIGIN%/}"
 
+if [[ ! "$SEARCH_RATE_LIMIT_PER_MINUTE" =~ ^[0-9]{1,6}$ ]] || [[ ! "$SEARCH_RATE_LIMIT_BURST" =~ ^[0-9]{1,6}$ ]]; then
+    echo "❌ SEARCH_RATE_LIMIT_PER_MINUTE and SEARCH_RATE_LIMIT_BURST must be whole numbers"
+    exit 1
+fi
+if [[ -n "$SEARCH_RATE_LIMIT_DO_SCRIPT" ]] && [[ ! "$SEARCH_RATE_LIMIT_DO_SCRIPT" =~ ^[a-z0-9][a-z0-9-]{0,62}$ ]]; then
+    echo "❌ SEARCH_RATE_LIMIT_DO_SCRIPT must be a Worker name"
+    exit 1
+fi
+
 # Build conditional sections
 R2_BUCKET_SECTION=""
 if [[ "$R2_ENABLED" == "true" ]]; then
@@ -227,6 +241,16 @@ else
     SOURCE_EVENTS_SECTION="# Sparse source telemetry disabled (SOURCE_EVENTS_ENABLED=false)"
 fi
 
+SEARCH_RATE_LIMITER_SECTION=""
+if [[ -n "$SEARCH_RATE_LIMIT_DO_SCRIPT" ]]; then
+    SEARCH_RATE_LIMITER_SECTION="[[durable_objects.bindings]]
+name = \"SEARCH_RATE_LIMITER\"
+class_name = \"SearchRateLimiter\"
+script_name = \"${SEARCH_RATE_LIMIT_DO_SCRIPT}\""
+else
+    SEARCH_RATE_LIMITER_SECTION="# Per-isolate in-memory rate limiting (SEARCH_RATE_LIMIT_DO_SCRIPT not set)"
+fi
+
 # Generate wrangler.toml
 sed -e "s|{{PAGES_PROJECT_NAME}}|${PAGES_PROJECT_NAME}|g" \
     -e "s|{{WRANGLER_COMPATIBILITY_DATE}}|${WRANGLER_COMPATIBILITY_DATE}|g" \
@@ -237,11 +261,17 @@ sed -e "s|{{PAGES_PROJECT_NAME}}|${PAGES_PROJECT_NAME}|g" \
     -e "s|{{CACHE_TTL_STATIC}}|${CACHE_TTL_STATIC}|g" \
     -e "s|{{CACHE_KEY_ORIGIN}}|${CACHE_KEY_ORIGIN}|g" \
     -e "s|{{PURGE_SECRET}}|${PURGE_SECRET}|g" \
+    -e "s|{{SEARCH_RATE_LIMIT_PER_MINUTE}}|${SEARCH_RATE_LIMIT_PER_MINUTE}|g" \
+    -e "s|{{SEARCH_RATE_LIMIT_BURST}}|${SEARCH_RATE_LIMIT_BURST}|g" \
+    -e "s|{{SEARCH_RATE_LIMIT_SECRET}}|${SEARCH_RATE_LIMIT_SECRET}|g" \
+    -e "s|{{SEARCH_HEALTH_SECRET}}|${SEARCH_HEALTH_SECRET}|g" \
     "$TEMPLATE_FILE" > "$OUTPUT_FILE.tmp"
 
 # Replace multi-line sections (sed can't handle these well)
-awk -v r2_section="$R2_BUCKET_SECTION" -v do_section="$DO_SPACES_URL_VAR" -v source_events_section="$SOURCE_EVENTS_SECTION" '
+awk -v r2_section="$R2_BUCKET_SECTION" -v do_section="$DO_SPACES_URL_VAR" -v source_events_section="$SOURCE_EVENTS_SECTION" \
+    -v rate_limiter_section="$SEARCH_RATE_LIMITER_SECTION" '
     /\{\{R2_BUCKET_SECTION\}\}/ { print r2_section; next }
+    /\{\{SEARCH_RATE_LIMITER_SECTION\}\}/ { print rate_limiter_section; next }
     /\{\{DO_SPACES_URL_VAR\}\}/ { print do_section; next }
     /\{\{SOURCE_EVENTS_SECTION\}\}/ { print source_events_section; next }
     { print }
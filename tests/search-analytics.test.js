@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+const fingerprint = 'A'.repeat(40);
+
+const index = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: fingerprint, n: 'PrivateNick', cc: 'DE', as: 'AS64500', ip: ['192.0.2.7'] },
+    { f: 'B'.repeat(40), n: 'twinA', cc: 'DE' },
+    { f: 'C'.repeat(40), n: 'twinB', cc: 'DE' },
+  ],
+  families: [],
+  lookups: { as_names: {}, country_names: { de: 'Germany' } },
+};
+
+function searchEnv(assets) {
+  const points = [];
+  return {
+    points,
+    env: {
+      ALLIUM_ASSETS: assets || { async fetch() { return Response.json(index); } },
+      SOURCE_EVENTS: {
+        writeDataPoint(point) { points.push(point); },
+      },
+    },
+  };
+}
+
+function requestFor(query, headers = {}) {
+  const request = new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}`, {
+    headers: { 'User-Agent': 'SecretAgent/1.0', 'CF-Connecting-IP': '203.0.113.9', ...headers },
+  });
+  Object.defineProperty(request, 'cf', { value: { colo: 'TEST' } });
+  return request;
+}
+
+test('each outcome records one point with the query class and result type', async () => {
+  const { onRequest } = await import('../functions/search.js?analytics-outcomes');
+  const { env, points } = searchEnv();
+
+  await onRequest({ request: requestFor(fingerprint), env });
+  await onRequest({ request: requestFor('twin'), env });
+  await onRequest({ request: requestFor('nosuchrelay'), env });
+  await onRequest({ request: requestFor('colour:red'), env });
+  await onRequest({ request: requestFor('<script>'), env });
+
+  assert.deepEqual(points.map((p) => p.blobs), [
+    ['fingerprint', 'redirect', '', 'relay', 'default', 'TEST'],
+    ['name', 'multiple', '', '', 'default', 'TEST'],
+    ['name', 'not_found', '', '', 'default', 'TEST'],
+    ['filter', 'invalid', 'QUERY_INVALID', '', 'default', 'TEST'],
+    ['rejected', 'invalid', 'QUERY_INVALID', '', 'default', 'TEST'],
+  ]);
+  for (const point of points) {
+    assert.deepEqual(point.indexes, ['allium-search']);
+    assert.equal(point.doubles.length, 3);
+    assert.equal(point.doubles[0], 1);
+    assert.ok(point.doubles[1] >= 0);
+    assert.ok(point.doubles[2] >= 0);
+  }
+});
+
+test('points never contain the query, client IP or user agent', async () => {
+  const { onRequest } = await import('../functions/search.js?analytics-private');
+  const { env, points } = searchEnv();
+
+  for (const query of ['PrivateNick', '192.0.2.7', 'AS64500', 'germany', 'AAAAAA']) {
+    await onRequest({ request: requestFor(query), env });
+  }
+  assert.deepEqual(points.map((p) => p.blobs[0]),
+    ['name', 'ip', 'as_number', 'name', 'partial_fingerprint']);
+
+  const recorded = JSON.stringify(points).toLowerCase();
+  for (const secret of ['privatenick', '192.0.2.7', '64500', 'germany', 'aaaaaa', '203.0.113.9', 'secretagent']) {
+    assert.equal(recorded.includes(secret), false, secret);
+  }
+});
+
+test('bare dates are classed as first_seen only when the index has dates', async () => {
+  const { onRequest } = await import('../functions/search.js?analytics-bare-date');
+  const { env, points } = searchEnv();
+  await onRequest({ request: requestFor('2024-05-01'), env });
+
+  const dated = searchEnv({
+    async fetch() {
+      return Response.json({ ...index, relays: [{ ...index.relays[0], fs: '2024-05-01' }] });
+    },
+  });
+  const { onRequest: datedSearch } = await import('../functions/search.js?analytics-bare-date-fs');
+  await datedSearch({ request: requestFor('2024-05-01'), env: dated.env });
+
+  assert.deepEqual([points[0].blobs.slice(0, 2), dated.points[0].blobs.slice(0, 2)],
+    [['name', 'not_found'], ['first_seen', 'redirect']]);
+});
+
+test('index age runs from the build time and survives revalidation', async (t) => {
+  const { onRequest } = await import('../functions/search.js?analytics-index-age');
+  const generatedAt = Date.parse('2026-10-19T00:00:00Z');
+  t.mock.timers.enable({ apis: ['Date'], now: generatedAt + 60 * 60 * 1000 });
+
+  let revalidations = 0;
+  const { env, points } = searchEnv({
+    async fetch(request) {
+      if (request.headers.get('If-None-Match') === '"g1"') {
+        revalidations += 1;
+        return new Response(null, { status: 304 });
+      }
+      return Response.json({ ...index, meta: { version: '1.6', generated_at: '2026-10-19T00:00:00Z' } },
+        { headers: { ETag: '"g1"' } });
+    },
+  });
+
+  await onRequest({ request: requestFor(fingerprint), env });
+  t.mock.timers.tick(6 * 60 * 1000);
+  await onRequest({ request: requestFor(fingerprint), env });
+
+  assert.equal(revalidations, 1);
+  assert.deepEqual(points.map((p) => p.doubles[2]), [60 * 60 * 1000, 66 * 60 * 1000]);
+});
+
+test('without generated_at the index age runs from the load', async (t) => {
+  const { onRequest } = await import('../functions/search.js?analytics-load-age');
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { env, points } = searchEnv({
+    async fetch(request) {
+      if (request.headers.get('If-None-Match')) return new Response(null, { status: 304 });
+      return Response.json(index, { headers: { ETag: '"g1"' } });
+    },
+  });
+
+  t.mock.timers.tick(1000);
+  await onRequest({ request: requestFor(fingerprint), env });
+  t.mock.timers.tick(6 * 60 * 1000);
+  await onRequest({ request: requestFor(fingerprint), env });
+  assert.deepEqual(points.map((p) => p.doubles[2]), [0, 6 * 60 * 1000]);
+});
+
+test('index errors record their ERR code and no index age', async () => {
+  const { onRequest } = await import('../functions/search.js?analytics-error');
+  const { env, points } = searchEnv({
+    async fetch() { return new Response('missing', { status: 404 }); },
+  });
+
+  const response = await onRequest({ request: requestFor('anything'), env });
+  assert.equal(response.status, 503);
+  assert.deepEqual(points[0].blobs, ['name', 'error', 'INDEX_404', '', 'default', 'TEST']);
+  assert.equal(points[0].doubles[2], -1);
+});
+
+test('a failing analytics binding cannot affect search', async () => {
+  const { onRequest } = await import('../functions/search.js?analytics-throwing');
+  const response = await onRequest({
+    request: requestFor(fingerprint),
+    env: {
+      ALLIUM_ASSETS: { async fetch() { return Response.json(index); } },
+      SOURCE_EVENTS: {
+        writeDataPoint() { throw new Error('analytics unavailable'); },
+      },
+    },
+  });
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${fingerprint}/`);
+});
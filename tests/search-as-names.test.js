@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'relayA', as: 'AS24940', cc: 'DE' },
+    { f: 'B'.repeat(40), n: 'relayB', as: 'AS16276', cc: 'FR' },
+    { f: 'C'.repeat(40), n: 'relayC', as: 'AS16276', cc: 'FR' },
+    { f: 'D'.repeat(40), n: 'relayD', as: 'AS35540', cc: 'FR' },
+    { f: 'E'.repeat(40), n: 'relayE', as: 'AS14061', cc: 'DE' },
+    { f: '1'.repeat(40), n: 'onlineOne', as: 'AS24940', cc: 'DE' },
+    { f: '2'.repeat(40), n: 'onlineTwo', as: 'AS14061', cc: 'DE' },
+  ],
+  families: [],
+  lookups: {
+    as_names: {
+      AS24940: 'Hetzner Online GmbH',
+      AS16276: 'OVH SAS',
+      AS35540: 'OVH Telecom',
+      AS14061: 'DIGITALOCEAN-ASN',
+      AS64496: 'Netcup Networks',
+    },
+    country_names: { de: 'Germany', fr: 'France' },
+    platforms: ['linux'],
+    flags: ['running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function search(query, format = 'json') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=${format}`),
+    env,
+  });
+}
+
+test('a unique AS name redirects to the AS page', async () => {
+  const response = await search('hetzner', 'html');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://metrics.example/as/AS24940/');
+
+  const hyphenated = await (await search('digitalocean')).json();
+  assert.equal(hyphenated.path, '/as/AS14061/');
+});
+
+test('several matching AS names are listed by relay count', async () => {
+  const body = await (await search('ovh')).json();
+  assert.equal(body.type, 'multiple');
+  assert.equal(body.hint, '2 autonomous systems match "ovh"');
+  assert.deepEqual(body.matches.map((m) => [m.id, m.count]), [['AS16276', 2], ['AS35540', 1]]);
+
+  const html = await (await search('ovh', 'html')).text();
+  assert.match(html, /<a href="\/as\/AS16276\/"><strong>AS16276<\/strong><\/a> · OVH SAS · 2 relays/);
+});
+
+test('AS names match at word starts only', async () => {
+  assert.equal((await search('ocean')).status, 404);
+  assert.equal((await (await search('telecom')).json()).path, '/as/AS35540/');
+});
+
+test('nickname matches take precedence over AS names', async () => {
+  // "online" is a word of "Hetzner Online GmbH" and starts two nicknames
+  const body = await (await search('online')).json();
+  assert.equal(body.type, 'multiple');
+  assert.deepEqual(body.matches.map((m) => m.n).sort(), ['onlineOne', 'onlineTwo']);
+});
+
+test('ASes without relays in the index are not listed', async () => {
+  // AS64496 is named in as_names but no relay uses it
+  assert.equal((await search('netcup')).status, 404);
+});
@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onBulkRequest } from '../functions/search.js?bulk';
+import worker from '../workers/search.js';
+
+const alpha = 'A'.repeat(40);
+const bravo = 'B'.repeat(40);
+const charlie = 'C'.repeat(40);
+const familyId = 'F'.repeat(40);
+
+const index = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: alpha, n: 'alpha', a: 'alpha.example', c: 'hash-alpha', fam: familyId, ip: ['192.0.2.1'] },
+    { f: bravo, n: 'bravo', fam: familyId },
+    { f: charlie, n: 'charlie', a: 'unchecked.example', c: 'hash-unchecked' },
+    { f: 'D'.repeat(40), n: 'twin' },
+    { f: 'E'.repeat(40), n: 'twin' },
+  ],
+  families: [{ id: familyId, sz: 2, nn: { alpha: 1, bravo: 1 }, a: 'alpha.example', c: ['hash-alpha'] }],
+  lookups: { as_names: {}, country_names: {}, validated_aroi_domains: ['alpha.example'] },
+};
+
+const env = {
+  ALLIUM_ASSETS: { async fetch() { return Response.json(index); } },
+};
+
+function bulk(body, init = {}) {
+  return onBulkRequest({
+    request: new Request('https://metrics.example/search/bulk', {
+      method: 'POST',
+      body: typeof body === 'string' || body instanceof ReadableStream ? body : JSON.stringify(body),
+      ...init,
+    }),
+    env,
+  });
+}
+
+test('each query reports its relay, family and operator pages in input order', async () => {
+  const response = await bulk([alpha.toLowerCase(), bravo, 'charlie', '192.0.2.1', 'twin', '0'.repeat(40)]);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.total, 6);
+  assert.equal(body.resolved, 4);
+
+  const [a, b, c, ip, twin, missing] = body.results;
+  assert.deepEqual(a, {
+    query: alpha.toLowerCase(),
+    type: 'relay',
+    resolved: true,
+    id: alpha,
+    path: `/relay/${alpha}/`,
+    relay: { id: alpha, nickname: 'alpha', path: `/relay/${alpha}/` },
+    family: { id: familyId, path: `/family/${familyId}/` },
+    aroi: { id: 'alpha.example', path: '/alpha.example/' },
+  });
+  // No contact of its own: the family's operator is reported
+  assert.deepEqual(b.aroi, { id: 'alpha.example', path: '/alpha.example/' });
+  // Not a validated AROI domain: the contact-hash page is used
+  assert.deepEqual(c.aroi, { id: 'unchecked.example', path: '/contact/hash-unchecked/' });
+  assert.equal(c.family, undefined);
+  assert.equal(ip.id, alpha);
+  assert.deepEqual(twin, { query: 'twin', type: 'multiple', resolved: false, total: 2 });
+  assert.deepEqual(missing, { query: '0'.repeat(40), type: 'not_found', resolved: false });
+});
+
+test('family ids and invalid items are reported without failing the batch', async () => {
+  const body = await (await bulk([familyId, '', '<b>', 42, 'colour:red'])).json();
+  assert.equal(body.results[0].path, `/family/${familyId}/`);
+  assert.deepEqual(body.results[0].family, { id: familyId, path: `/family/${familyId}/` });
+  assert.deepEqual(body.results[0].aroi, { id: 'alpha.example', path: '/alpha.example/' });
+  assert.deepEqual(body.results.slice(1).map((r) => [r.type, r.resolved]), [
+    ['invalid', false], ['invalid', false], ['invalid', false], ['invalid', false],
+  ]);
+  assert.equal(body.results[3].error, 'Query must be a string');
+});
+
+test('malformed, oversized and non-POST requests are refused', async () => {
+  const notArray = await bulk({ queries: [alpha] });
+  assert.equal(notArray.status, 400);
+  assert.equal((await notArray.json()).error.code, 'QUERY_INVALID');
+
+  assert.equal((await bulk('not json')).status, 400);
+  assert.equal((await bulk(Array(501).fill(alpha))).status, 400);
+  assert.equal((await bulk(JSON.stringify(['x'.repeat(70 * 1024)]))).status, 413);
+  // The cap counts UTF-8 bytes: 40,000 two-byte characters are 80 KB
+  assert.equal((await bulk(JSON.stringify(['é'.repeat(40 * 1000)]))).status, 413);
+  // A streamed body without Content-Length is cut off at the cap
+  const chunk = new TextEncoder().encode(' '.repeat(16 * 1024));
+  let pulls = 0;
+  const stream = new ReadableStream({
+    pull(controller) {
+      pulls += 1;
+      controller.enqueue(chunk);
+    },
+  });
+  assert.equal((await bulk(stream, { duplex: 'half' })).status, 413);
+  assert.ok(pulls <= 6, `${pulls} chunks read`);
+
+  const get = await onBulkRequest({ request: new Request('https://metrics.example/search/bulk'), env });
+  assert.equal(get.status, 405);
+  assert.equal(get.headers.get('allow'), 'POST');
+});
+
+test('the Worker routes POST /search/bulk', async () => {
+  const response = await worker.fetch(new Request('https://metrics.example/search/bulk', {
+    method: 'POST',
+    body: JSON.stringify([bravo]),
+  }), env, { waitUntil() {} });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).results[0].relay.id, bravo);
+});
+
+test('the Pages catch-all routes POST /search/bulk', async () => {
+  const { onRequest } = await import('../functions/[[path]].js');
+  const response = await onRequest({
+    request: new Request('https://pages.example/search/bulk', { method: 'POST', body: JSON.stringify([bravo]) }),
+    env,
+    params: { path: ['search', 'bulk'] },
+    waitUntil() {},
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).results[0].relay.id, bravo);
+});
+
+test('older indexes probe storage for a bounded number of operator domains', async () => {
+  const { onBulkRequest: legacyBulk } = await import('../functions/search.js?bulk-legacy-aroi');
+  const relays = Array.from({ length: 30 }, (_, i) => ({
+    f: i.toString(16).toUpperCase().padStart(40, '0'),
+    n: `op${i}`,
+    a: `op${i}.example`,
+    c: `hash-${i}`,
+  }));
+  const probes = [];
+  const legacyEnv = {
+    ALLIUM_ASSETS: {
+      async fetch(request) {
+        const { pathname } = new URL(request.url);
+        if (pathname === '/search-index.json') {
+          return Response.json({ meta: { version: '1.4' }, relays, families: [], lookups: { as_names: {} } });
+        }
+        probes.push(pathname);
+        return new Response('page', { status: 200 });
+      },
+    },
+  };
+
+  const response = await legacyBulk({
+    request: new Request('https://metrics.example/search/bulk', {
+      method: 'POST',
+      body: JSON.stringify([...relays.map((r) => r.f), 'op29.example']),
+    }),
+    env: legacyEnv,
+  });
+  const { results } = await response.json();
+  assert.equal(probes.length, 20);
+  assert.deepEqual(results[0].aroi, { id: 'op0.example', path: '/op0.example/' });
+  assert.deepEqual(results[19].aroi, { id: 'op19.example', path: '/op19.example/' });
+  assert.deepEqual(results[20].aroi, { id: 'op20.example', path: '/contact/hash-20/' });
+  // A domain query shares the budget and the per-domain answer
+  assert.deepEqual([results[30].type, results[30].path], ['aroi', '/contact/hash-29/']);
+});
+
+test('each bulk query takes a rate-limit token', async () => {
+  const limited = { ...env, SEARCH_RATE_LIMIT_PER_MINUTE: '3' };
+  const post = (queries) => onBulkRequest({
+    request: new Request('https://metrics.example/search/bulk', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': '192.0.2.77' },
+      body: JSON.stringify(queries),
+    }),
+    env: limited,
+  });
+
+  const partial = await post([alpha, bravo, charlie, 'twin', 'charlie']);
+  assert.equal(partial.status, 200);
+  assert.equal(partial.headers.get('retry-after'), '20');
+  const body = await partial.json();
+  assert.deepEqual(body.results.map((r) => r.type), ['relay', 'relay', 'relay', 'rate_limited', 'rate_limited']);
+  assert.deepEqual(body.results[3], { query: 'twin', type: 'rate_limited', resolved: false });
+
+  const refused = await post([alpha]);
+  assert.equal(refused.status, 429);
+  assert.equal((await refused.json()).error.code, 'RATE_LIMITED');
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { canonicalIp, cidrContains, parseCidr, parseIp, parseIPv6 } from '../functions/_ip.js';
+import { onRequest } from '../functions/search.js';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'UpperHost', cc: 'NL', ip: '192.0.2.200' },
+    { f: 'B'.repeat(40), n: 'LowerHost', cc: 'NL', ip: ['192.0.2.10', '2001:db8::10'] },
+    { f: 'C'.repeat(40), n: 'OtherNet', cc: 'DE', ip: '198.51.100.1' },
+    { f: 'D'.repeat(40), n: 'SixOnly', cc: 'DE', ip: '2001:db8:1::1' },
+    // Written non-canonically in the index
+    { f: 'E'.repeat(40), n: 'LongForm', cc: 'DE', ip: ['2001:0DB9:0000:0000:0000:0000:0000:0001', '::FFFF:198.18.0.5'] },
+  ],
+  families: [],
+  lookups: {
+    as_names: {},
+    country_names: { nl: 'Netherlands', de: 'Germany' },
+    platforms: ['linux'],
+    flags: ['running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function searchJson(query) {
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json`),
+    env,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('address parsing handles compression, embedded IPv4 and malformed input', () => {
+  assert.equal(parseIPv6('::1'), 1n);
+  assert.equal(parseIPv6('2001:db8::'), 0x20010db8n << 96n);
+  assert.equal(parseIPv6('::ffff:192.0.2.1'), (0xffffn << 32n) | 0xc0000201n);
+  assert.equal(parseIPv6('1:2:3:4:5:6:7:8:9'), null);
+  assert.equal(parseIPv6('1::2::3'), null);
+  assert.equal(parseIp('256.0.0.1'), null);
+  assert.deepEqual(parseIp('10.0.0.1'), { version: 4, value: 0x0a000001 });
+});
+
+test('CIDR parsing masks host bits and rejects out-of-range prefixes', () => {
+  const block = parseCidr('192.0.2.77/24');
+  assert.deepEqual(block, { version: 4, prefix: 24, network: 0xc0000200 });
+  assert.equal(cidrContains(block, parseIp('192.0.2.255')), true);
+  assert.equal(cidrContains(block, parseIp('192.0.3.0')), false);
+  assert.equal(cidrContains(parseCidr('0.0.0.0/0'), parseIp('203.0.113.9')), true);
+  assert.equal(parseCidr('192.0.2.0/33'), null);
+  assert.equal(parseCidr('2001:db8::/129'), null);
+});
+
+test('IPv4 subnet search lists relays in address order', async () => {
+  const { status, body } = await searchJson('192.0.2.0/24');
+  assert.equal(status, 200);
+  assert.equal(body.type, 'multiple');
+  assert.equal(body.hint, '2 relays in 192.0.2.0/24');
+  assert.deepEqual(body.matches.map((m) => m.n), ['LowerHost', 'UpperHost']);
+});
+
+test('IPv6 subnet search redirects for one relay and reports empty blocks', async () => {
+  assert.deepEqual((await searchJson('2001:db8:1::/48')).body.path, `/relay/${'D'.repeat(40)}/`);
+
+  const wide = await searchJson('2001:db8::/32');
+  assert.deepEqual(wide.body.matches.map((m) => m.n), ['LowerHost', 'SixOnly']);
+
+  assert.equal((await searchJson('203.0.113.0/24')).status, 404);
+});
+
+test('canonical address text strips ports, compresses zeroes and unwraps IPv4-mapped', () => {
+  assert.equal(canonicalIp('2001:DB8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+  assert.equal(canonicalIp('[2001:db8::1]:9001'), '2001:db8::1');
+  assert.equal(canonicalIp('192.0.2.1:9001'), '192.0.2.1');
+  assert.equal(canonicalIp('::ffff:c000:201'), '192.0.2.1');
+  assert.equal(canonicalIp('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1');
+  assert.equal(canonicalIp('[192.0.2.1]'), '192.0.2.1');
+  assert.equal(canonicalIp('2001:db8::1:9001'), '2001:db8::1:9001');
+  assert.equal(canonicalIp('cafe'), null);
+});
+
+test('any common written form of an address finds the relay', async () => {
+  for (const query of ['2001:DB8::10', '2001:db8:0:0:0:0:0:10', '[2001:db8::10]:9001', '::ffff:192.0.2.10', '192.0.2.10:443']) {
+    assert.equal((await searchJson(query)).body.path, `/relay/${'B'.repeat(40)}/`, query);
+  }
+  // Index entries are canonicalized too
+  assert.equal((await searchJson('2001:db9::1')).body.path, `/relay/${'E'.repeat(40)}/`);
+  assert.equal((await searchJson('198.18.0.5')).body.path, `/relay/${'E'.repeat(40)}/`);
+  assert.deepEqual((await searchJson('198.18.0.0/16')).body.path, `/relay/${'E'.repeat(40)}/`);
+});
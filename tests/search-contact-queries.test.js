@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js?contact-queries';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'Validated', cc: 'DE', a: 'example.org', c: 'hash-example' },
+    { f: 'B'.repeat(40), n: 'Unchecked', cc: 'DE', a: 'unchecked.net', c: 'hash-unchecked' },
+  ],
+  families: [],
+  lookups: {
+    as_names: {},
+    country_names: { de: 'Germany' },
+    validated_aroi_domains: ['example.org'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function resolve(query, extra = '') {
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json${extra}`),
+    env,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('contact emails and CIISS tokens resolve to the operator page', async () => {
+  for (const query of [
+    'abuse@example.org',
+    'Abuse@Example.ORG',
+    'tor-admin@mail.example.org',
+    'abuse[at]example[dot]org',
+    'email:tor[]example.org',
+    'mailto:abuse@example.org',
+    'url:https://example.org/',
+    'url:www.example.org',
+  ]) {
+    const { status, body } = await resolve(query);
+    assert.equal(status, 200, query);
+    assert.equal(body.type, 'aroi', query);
+    assert.equal(body.path, '/example.org/', query);
+  }
+});
+
+test('unvalidated operators fall back to the contact hash page', async () => {
+  const { body } = await resolve('email:noc[]unchecked.net');
+  assert.deepEqual(body, {
+    query: 'email:noc[]unchecked.net',
+    type: 'aroi',
+    id: 'unchecked.net',
+    path: '/contact/hash-unchecked/',
+  });
+});
+
+test('contact queries without a known operator are not found', async () => {
+  for (const query of ['abuse@unknown.org', 'email:tor[]unknown.org', 'url:https://unknown.org']) {
+    const { status, body } = await resolve(query);
+    assert.equal(status, 404, query);
+    assert.equal(body.type, 'not_found', query);
+  }
+  const all = await resolve('abuse@example.org', '&mode=all');
+  assert.equal(all.body.path, '/example.org/');
+});
+
+test('queries that are not contact info keep their meaning', async () => {
+  // Still filter syntax: unknown keys are reported
+  const filter = await resolve('email:x country:de');
+  assert.equal(filter.status, 400);
+  assert.match(filter.body.error.message, /Unknown filter "email:"/);
+
+  // No domain after the @
+  const handle = await resolve('validated@');
+  assert.equal(handle.status, 404);
+
+  const nickname = await resolve('Validated');
+  assert.equal(nickname.body.path, `/relay/${'A'.repeat(40)}/`);
+});
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js?family-cards';
+
+const large = 'A'.repeat(40);
+const small = 'B'.repeat(40);
+const solo = 'C'.repeat(40);
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: '1'.repeat(40), n: 'nodeAlpha1', cc: 'DE', as: 'AS3320', fam: large },
+    { f: '2'.repeat(40), n: 'nodeAlpha2', cc: 'NL', as: 'AS3320', fam: large },
+    { f: '3'.repeat(40), n: 'nodeAlpha3', cc: 'US', as: 'AS24940', fam: large },
+    { f: '4'.repeat(40), n: 'nodeAlpha4', cc: 'FR', as: 'AS16276', fam: large },
+    { f: '5'.repeat(40), n: 'nodeBravo', cc: 'SE', a: 'bravo.example', c: 'hash-bravo', fam: small },
+    { f: '6'.repeat(40), n: 'nodeLoner', cc: 'SE' },
+    { f: '7'.repeat(40), n: 'soloOne', fam: solo },
+    { f: '8'.repeat(40), n: 'soloTwo', fam: solo },
+  ],
+  families: [
+    {
+      id: large, sz: 4, a: 'alpha.example', c: ['hash-alpha'], v: true, v3p: true,
+      nn: { nodealpha1: 1, nodealpha2: 1, nodealpha3: 1, nodealpha4: 1 },
+    },
+    { id: small, sz: 1, a: 'bravo.example', c: ['hash-bravo'], v: false, nn: { nodebravo: 1 } },
+    { id: solo, sz: 2, nn: { soloone: 1, solotwo: 1 } },
+  ],
+  lookups: { as_names: {}, country_names: {} },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+function search(query, extra = '') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}${extra}`),
+    env,
+  });
+}
+
+test('a nickname prefix spanning several families lists a card per family', async () => {
+  const body = await (await search('node', '&format=json')).json();
+  assert.equal(body.type, 'multiple');
+  assert.equal(body.total, 6);
+  assert.deepEqual(body.families, [
+    {
+      t: 'family',
+      id: large,
+      n: 'nodealpha1',
+      sz: 4,
+      a: 'alpha.example',
+      v: true,
+      v3p: true,
+      aroiPath: '/alpha.example/',
+      path: `/family/${large}/`,
+      cc: ['DE', 'FR', 'NL', 'US'],
+      as: ['AS16276', 'AS24940', 'AS3320'],
+      members: ['nodealpha1', 'nodealpha2', 'nodealpha3', 'nodealpha4'],
+    },
+    {
+      t: 'family',
+      id: small,
+      n: 'nodebravo',
+      sz: 1,
+      a: 'bravo.example',
+      v: false,
+      v3p: false,
+      aroiPath: '/contact/hash-bravo/',
+      path: `/family/${small}/`,
+      cc: ['SE'],
+      as: [],
+      members: ['nodebravo'],
+    },
+  ]);
+});
+
+test('family cards render size, spread, operator status and members', async () => {
+  const response = await search('node');
+  assert.equal(response.status, 200);
+  const html = await response.text();
+
+  assert.match(html, /<h4>Families \(2\)<\/h4>/);
+  assert.match(html, /<h4>Relays \(6\)<\/h4>/);
+  assert.match(html, new RegExp(
+    `<a href="/family/${large}/"><strong>nodealpha1</strong></a> · 4 relays · DE, FR, NL \\+1 · AS16276, AS24940, AS3320 · ` +
+    '<a href="/alpha.example/" class="aroi">alpha.example</a> validated<span class="ciiss-ver ciiss-ver-3">v3</span>' +
+    '<span class="members">nodealpha1, nodealpha2, nodealpha3, nodealpha4</span>',
+  ));
+  assert.match(html, /<a href="\/contact\/hash-bravo\/" class="aroi">bravo\.example<\/a> not validated/);
+  // Family cards come before the relay list
+  assert.ok(html.indexOf('Families (2)') < html.indexOf(`/relay/${'1'.repeat(40)}/`));
+});
+
+test('relays of one family still open the family page', async () => {
+  const response = await search('solo');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), `https://metrics.example/family/${solo}/`);
+});
+
+test('mode=all family cards carry the same details', async () => {
+  const body = await (await search('nodebravo', '&mode=all&format=json')).json();
+  assert.equal(body.type, 'grouped');
+  const family = body.groups.find((g) => g.type === 'family').items[0];
+  assert.equal(family.aroiPath, '/contact/hash-bravo/');
+  assert.deepEqual(family.cc, ['SE']);
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const relays = [
+  { f: 'A'.repeat(40), n: 'hetzexit1', as: 'AS24940', cc: 'DE', vn: '3', fl: ['Exit', 'Running'], pf: 'linux' },
+  { f: 'B'.repeat(40), n: 'hetzguard', as: 'AS24940', cc: 'DE', vn: '2', fl: ['Guard', 'Running'], pf: 'linux' },
+  { f: 'C'.repeat(40), n: 'ovhexit', as: 'AS16276', cc: 'FR', fl: ['Exit', 'Running'], pf: 'freebsd' },
+];
+// 45 more German exits on Hetzner to exercise pagination
+for (let i = 0; i < 45; i++) {
+  relays.push({
+    f: i.toString(16).toUpperCase().padStart(40, '0'),
+    n: `bulk${i}`,
+    as: 'AS24940',
+    cc: 'DE',
+    fl: ['Exit', 'Running'],
+    pf: 'linux',
+  });
+}
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays,
+  families: [],
+  lookups: {
+    as_names: { AS24940: 'Hetzner Online GmbH', AS16276: 'OVH SAS' },
+    country_names: { de: 'Germany', fr: 'France' },
+    platforms: ['linux', 'freebsd'],
+    flags: ['exit', 'guard', 'running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function search(query, extra = '') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}${extra}`),
+    env,
+  });
+}
+
+async function searchJson(query, extra = '') {
+  const response = await search(query, `&format=json${extra}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('combined filters narrow relays across dimensions', async () => {
+  const { body } = await searchJson('country:de flag:exit as:AS24940 platform:linux ciiss:v3');
+  assert.equal(body.type, 'relay');
+  assert.equal(body.id, 'A'.repeat(40));
+
+  const exits = await searchJson('flag:exit flag:running as:16276');
+  assert.equal(exits.body.path, `/relay/${'C'.repeat(40)}/`);
+});
+
+test('repeated keys are alternatives and bare words match nicknames', async () => {
+  const { body } = await searchJson('country:de country:fr hetz');
+  assert.equal(body.type, 'multiple');
+  assert.deepEqual(body.matches.map((m) => m.n), ['hetzexit1', 'hetzguard']);
+});
+
+test('large filter results are paginated', async () => {
+  const first = await searchJson('country:de flag:exit');
+  assert.equal(first.body.total, 46);
+  assert.equal(first.body.pageCount, 3);
+  assert.equal(first.body.matches.length, 20);
+
+  const last = await searchJson('country:de flag:exit', '&page=3');
+  assert.equal(last.body.page, 3);
+  assert.equal(last.body.matches.length, 6);
+
+  const html = await (await search('country:de flag:exit', '&page=2')).text();
+  assert.match(html, /Page 2 of 3 \(46 results\)/);
+  assert.match(html, /href="\/search\?q=country%3Ade%20flag%3Aexit&amp;page=3" rel="next"/);
+});
+
+test('unknown filter keys and values are rejected with a clear message', async () => {
+  const response = await search('colour:blue');
+  assert.equal(response.status, 400);
+  assert.match(await response.text(), /Unknown filter &quot;colour:&quot; \(supported: country: as: flag: platform: ciiss: first_seen: since:\)/);
+
+  const badValue = await searchJson('country:zz');
+  assert.equal(badValue.status, 400);
+  assert.equal(badValue.body.error.code, 'QUERY_INVALID');
+  assert.match(badValue.body.error.message, /Unknown country "zz"/);
+});
+
+test('IPv6 literals are not mistaken for filters', async () => {
+  const { status, body } = await searchJson('dead::beef');
+  assert.equal(status, 404);
+  assert.equal(body.type, 'not_found');
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const relays = [
+  { f: 'A'.repeat(40), n: 'MayFirst', cc: 'DE', fs: '2024-05-01' },
+  { f: 'B'.repeat(40), n: 'MayLater', cc: 'DE', fs: '2024-05-20 13:45:00' },
+  { f: 'C'.repeat(40), n: 'JuneRelay', cc: 'US', fs: '2024-06-02' },
+  { f: 'D'.repeat(40), n: 'OldRelay', cc: 'US', fs: '2019-01-15' },
+  { f: 'E'.repeat(40), n: 'NoDate', cc: 'US' },
+];
+
+function envFor(list) {
+  return {
+    ALLIUM_ASSETS: {
+      async fetch() {
+        return Response.json({
+          meta: { version: '1.6' },
+          relays: list,
+          families: [],
+          lookups: { as_names: {}, country_names: { de: 'Germany', us: 'United States' } },
+        });
+      },
+    },
+  };
+}
+
+async function searchJson(query, env = envFor(relays), handler = onRequest) {
+  const response = await handler({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json`),
+    env,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a single day redirects to its first-seen page', async () => {
+  for (const query of ['2024-05-01', 'first_seen:2024-05-01', 'First_Seen:2024-05-20']) {
+    const { body } = await searchJson(query);
+    assert.equal(body.type, 'first_seen', query);
+    assert.match(body.path, /^\/first_seen\/2024-05-(01|20)\/$/);
+  }
+  assert.equal((await searchJson('2024-05-02')).status, 404);
+});
+
+test('months, years and since: list relays first seen in the range', async () => {
+  const month = await searchJson('2024-05');
+  assert.equal(month.body.type, 'multiple');
+  assert.deepEqual(month.body.matches.map((m) => m.n).sort(), ['MayFirst', 'MayLater']);
+
+  assert.equal((await searchJson('first_seen:2024-06')).body.id, 'C'.repeat(40));
+  assert.equal((await searchJson('first_seen:2024')).body.total, 3);
+
+  const since = await searchJson('since:2024-05-15 country:de');
+  assert.equal(since.body.id, 'B'.repeat(40));
+  assert.equal((await searchJson('since:2019')).body.total, 4);
+});
+
+test('bare years stay AS numbers and impossible dates are rejected', async () => {
+  assert.equal((await searchJson('2024')).status, 404);
+
+  for (const query of ['2024-02-30', 'first_seen:2024-13', 'since:24-05-01']) {
+    const { status, body } = await searchJson(query);
+    assert.equal(status, 400, query);
+    assert.match(body.error.message, /Invalid date/);
+  }
+});
+
+test('indexes without first-seen dates still redirect days but cannot filter', async () => {
+  const { onRequest: legacy } = await import('../functions/search.js?first-seen-legacy');
+  const env = envFor([{ f: 'F'.repeat(40), n: 'Legacy', cc: 'DE' }]);
+  assert.equal((await searchJson('first_seen:2024-05-02', env, legacy)).body.path, '/first_seen/2024-05-02/');
+
+  // Bare dates are not rewritten to first_seen: and take the normal steps
+  for (const query of ['2024-05-02', '2024-05']) {
+    const { status, body } = await searchJson(query, env, legacy);
+    assert.equal(status, 404, query);
+    assert.equal(body.type, 'not_found', query);
+  }
+
+  const { status, body } = await searchJson('since:2024-05-01', env, legacy);
+  assert.equal(status, 400);
+  assert.equal(body.error.message, 'since: filters need a search index with per-relay first-seen dates');
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+const fingerprint = 'A'.repeat(40);
+const familyId = 'F'.repeat(40);
+const MINUTE = 60 * 1000;
+
+const index = {
+  meta: { version: '1.6', generated_at: '2026-10-19T00:00:00Z' },
+  relays: [
+    { f: fingerprint, n: 'healthy', as: 'AS64500', cc: 'DE', ip: ['192.0.2.1'], a: 'example.org', c: 'h1', fam: familyId },
+    { f: 'B'.repeat(40), n: 'healthy', cc: 'US', fam: familyId },
+  ],
+  families: [{ id: familyId, sz: 2, nn: { healthy: 2 }, px: 'healthy', pxg: 0 }],
+  lookups: { as_names: { AS64500: 'Example' }, country_names: { de: 'Germany', us: 'United States' } },
+};
+
+const origin = { status: 200 };
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      if (origin.status !== 200) return new Response('unavailable', { status: origin.status });
+      return Response.json(index, { headers: { ETag: '"h1"' } });
+    },
+  },
+};
+
+function health(headers = {}, extraEnv = {}) {
+  return {
+    request: new Request('https://metrics.example/search/_health', { headers }),
+    env: { ...env, ...extraEnv },
+  };
+}
+
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+
+test('a cold isolate that cannot load the index reports the error', async () => {
+  const { onHealthRequest } = await import('../functions/search.js?health');
+  origin.status = 404;
+  const response = await onHealthRequest(health());
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  const body = await response.json();
+  assert.equal(body.status, 'error');
+  assert.equal(body.index, null);
+  assert.deepEqual(body.lastError, {
+    code: 'INDEX_404',
+    message: 'search-index.json not found (HTTP 404)',
+    at: '2026-10-19T12:00:00.000Z',
+  });
+});
+
+test('a loaded index reports its source, version, counts and cache age', async () => {
+  const { onHealthRequest } = await import('../functions/search.js?health');
+  origin.status = 200;
+  mock.timers.tick(MINUTE);
+
+  const body = await (await onHealthRequest(health())).json();
+  assert.equal(body.status, 'ok');
+  assert.equal(body.source, 'assets');
+  assert.deepEqual(body.index, {
+    version: '1.6',
+    generatedAt: '2026-10-19T00:00:00Z',
+    adapter: 'v1',
+    etag: '"h1"',
+    relays: 2,
+    families: 1,
+  });
+  assert.equal(body.lookups.fingerprints, 2);
+  assert.equal(body.lookups.nicknames, 1);
+  assert.equal(body.lookups.ips, 1);
+  assert.equal(body.lookups.countries, 2);
+  assert.equal(body.lookups.familyIds, 1);
+  assert.equal(body.lookups.validatedAroiDomains, null);
+  assert.equal(body.loadedAt, '2026-10-19T12:01:00.000Z');
+  assert.equal(body.loadMs, 0);
+  assert.equal(body.cacheAgeMs, 0);
+  // The earlier failure stays visible after recovery
+  assert.equal(body.lastError.code, 'INDEX_404');
+
+  mock.timers.tick(2 * MINUTE);
+  assert.equal((await (await onHealthRequest(health())).json()).cacheAgeMs, 2 * MINUTE);
+});
+
+test('a failed refresh is reported as stale with the last good index', async () => {
+  const { onHealthRequest } = await import('../functions/search.js?health');
+  origin.status = 503;
+  mock.timers.tick(6 * MINUTE);
+
+  const response = await onHealthRequest(health());
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.status, 'stale');
+  assert.equal(body.index.relays, 2);
+  assert.equal(body.lastError.code, 'INDEX_HTTP');
+  origin.status = 200;
+});
+
+test('the health secret is required when configured', async () => {
+  const { onHealthRequest } = await import('../functions/search.js?health-secret');
+  const secretEnv = { SEARCH_HEALTH_SECRET: 'monitor' };
+
+  assert.equal((await onHealthRequest(health({}, secretEnv))).status, 401);
+  assert.equal((await onHealthRequest(health({ 'X-Search-Health-Secret': 'wrong' }, secretEnv))).status, 401);
+  assert.equal((await onHealthRequest(health({ 'X-Search-Health-Secret': 'monitoR' }, secretEnv))).status, 401);
+  const allowed = await onHealthRequest(health({ 'X-Search-Health-Secret': 'monitor' }, secretEnv));
+  assert.equal(allowed.status, 200);
+});
+
+test('health checks count against the search rate limit', async () => {
+  const { onHealthRequest } = await import('../functions/search.js?health-rate-limit');
+  const limitEnv = { SEARCH_RATE_LIMIT_PER_MINUTE: '2', SEARCH_HEALTH_SECRET: 'monitor' };
+  const probe = (headers) => onHealthRequest(health({ 'CF-Connecting-IP': '192.0.2.50', ...headers }, limitEnv));
+
+  assert.equal((await probe({ 'X-Search-Health-Secret': 'guess1' })).status, 401);
+  assert.equal((await probe({ 'X-Search-Health-Secret': 'monitor' })).status, 200);
+  const limited = await probe({ 'X-Search-Health-Secret': 'monitor' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '30');
+  assert.equal((await limited.json()).error.code, 'RATE_LIMITED');
+});
+
+test('the Worker and the Pages catch-all route /search/_health', async () => {
+  const { default: worker } = await import('../workers/search.js');
+  const fromWorker = await worker.fetch(new Request('https://metrics.example/search/_health'), env, { waitUntil() {} });
+  assert.equal((await fromWorker.json()).source, 'assets');
+
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => Response.json(index);
+  try {
+    const { onRequest } = await import('../functions/[[path]].js');
+    const fromPages = await onRequest({
+      request: new Request('https://metrics.example/search/_health'),
+      env: {},
+      params: { path: ['search', '_health'] },
+      waitUntil() {},
+    });
+    assert.equal((await fromPages.json()).source, 'pages-fetch');
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { negotiateLang, t } from '../functions/_i18n.js';
+import { onRequest } from '../functions/search.js';
+
+const relays = [];
+for (let i = 0; i < 25; i++) {
+  relays.push({ f: i.toString(16).toUpperCase().padStart(40, 'A'), n: `relay${String(i).padStart(2, '0')}`, cc: 'DE' });
+}
+relays.push({ f: 'B'.repeat(40), n: 'Wien1', cc: 'AT' });
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json({
+        meta: { version: '1.6' },
+        relays,
+        families: [],
+        lookups: { as_names: {}, country_names: { de: 'Germany', at: 'Austria' } },
+      });
+    },
+  },
+};
+
+async function search(query, { lang, acceptLanguage, format } = {}) {
+  const params = new URLSearchParams({ q: query });
+  if (lang) params.set('lang', lang);
+  if (format) params.set('format', format);
+  return onRequest({
+    request: new Request(`https://metrics.example/search?${params}`, {
+      headers: acceptLanguage ? { 'Accept-Language': acceptLanguage } : {},
+    }),
+    env,
+  });
+}
+
+test('language negotiation prefers ?lang=, then weighted Accept-Language', () => {
+  assert.deepEqual(negotiateLang('de-DE,de;q=0.9,en;q=0.8', null), { lang: 'de', explicit: false });
+  assert.deepEqual(negotiateLang('ja, fr;q=0.5, es;q=0.7', null), { lang: 'es', explicit: false });
+  assert.deepEqual(negotiateLang('de;q=0, fr', null), { lang: 'fr', explicit: false });
+  assert.deepEqual(negotiateLang('ja, zh', null), { lang: 'en', explicit: false });
+  assert.deepEqual(negotiateLang('de', 'fr'), { lang: 'fr', explicit: true });
+  assert.deepEqual(negotiateLang('de', 'xx'), { lang: 'de', explicit: false });
+  assert.equal(t('de', 'pager.status', { page: 1, pageCount: 2, total: 25 }), 'Seite 1 von 2 (25 Ergebnisse)');
+  assert.equal(t('fr', 'no.such.key'), 'no.such.key');
+});
+
+test('not-found pages follow Accept-Language', async () => {
+  const response = await search('nothingmatches', { acceptLanguage: 'de-AT, en;q=0.5' });
+  const body = await response.text();
+
+  assert.equal(response.status, 404);
+  assert.equal(response.headers.get('content-language'), 'de');
+  assert.match(response.headers.get('vary'), /Accept-Language/);
+  assert.match(body, /<html lang="de">/);
+  assert.match(body, /<title>Keine Ergebnisse gefunden - Allium<\/title>/);
+  assert.match(body, /Keine Relays, Familien oder Betreiber zu „<strong>nothingmatches<\/strong>“ gefunden\./);
+  assert.match(body, /<h4>Suchtipps<\/h4>/);
+});
+
+test('?lang= is kept on the form and pager links', async () => {
+  const body = await (await search('relay', { lang: 'es' })).text();
+  assert.match(body, /<h2>Resultados de búsqueda<\/h2>/);
+  assert.match(body, /<p class="hint">25 relés coinciden con «relay»<\/p>/);
+  assert.match(body, /<input type="hidden" name="lang" value="es">/);
+  assert.match(body, /href="\/search\?q=relay&amp;lang=es&amp;page=2" rel="next">Siguiente →<\/a>/);
+});
+
+test('invalid queries are explained in the page language, JSON stays English', async () => {
+  const html = await (await search('a<b', { lang: 'fr' })).text();
+  assert.match(html, /<h2>Requête de recherche invalide<\/h2>/);
+  assert.match(html, /La requête contient des caractères invalides/);
+
+  const json = await (await search('a<b', { lang: 'fr', format: 'json' })).json();
+  assert.equal(json.error.message, 'Query contains invalid characters');
+  const list = await (await search('relay', { lang: 'fr', format: 'json' })).json();
+  assert.equal(list.hint, '25 relays match "relay"');
+});
+
+test('filter syntax errors and invalid dates use the page language', async () => {
+  const country = await (await search('country:xx', { lang: 'de' })).text();
+  assert.match(country, /Unbekanntes Land „xx“ \(zweistelliger Code, z\. B\. country:de\)/);
+
+  const key = await (await search('color:red', { lang: 'es' })).text();
+  assert.match(key, /Filtro desconocido «color:» \(admitidos: country: as: flag: platform: ciiss: first_seen: since:\)/);
+
+  const date = await (await search('first_seen:2024-02-30', { lang: 'fr' })).text();
+  assert.match(date, /Date invalide « 2024-02-30 »/);
+
+  const range = await (await search('since:2024-13', { lang: 'de' })).text();
+  assert.match(range, /Ungültiges Datum „2024-13“ \(Format: since:JJJJ, JJJJ-MM oder JJJJ-MM-TT\)/);
+
+  // No per-relay first-seen dates in this index
+  const noDates = await (await search('first_seen:2024', { lang: 'fr' })).text();
+  assert.match(noDates, /Les filtres first_seen: nécessitent un index de recherche/);
+
+  const json = await (await search('country:xx', { lang: 'de', format: 'json' })).json();
+  assert.equal(json.error.message, 'Unknown country "xx" (use a two-letter code, e.g. country:de)');
+});
+
+test('localized country names resolve to the country page', async () => {
+  for (const [query, code] of [['Deutschland', 'DE'], ['allemagne', 'DE'], ['Alemania', 'DE'], ['Österreich', 'AT'], ['osterreich', 'AT']]) {
+    const response = await search(query);
+    assert.equal(response.headers.get('location'), `https://metrics.example/country/${code}/`, query);
+  }
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const fingerprint = 'A'.repeat(40);
+const renamed = 'B'.repeat(40);
+const MINUTE = 60 * 1000;
+
+function indexWith(relay) {
+  return {
+    meta: { version: '1.6' },
+    relays: [relay],
+    families: [],
+    lookups: { as_names: {}, country_names: {}, platforms: ['linux'], flags: ['running'] },
+  };
+}
+
+// Scripted assets binding: each test step sets how the next fetch answers
+const origin = {
+  etag: '"v1"',
+  body: indexWith({ f: fingerprint, n: 'Original' }),
+  failWith: 0,
+  requests: [],
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch(request) {
+      const ifNoneMatch = request.headers.get('If-None-Match');
+      origin.requests.push(ifNoneMatch);
+      if (origin.failWith) return new Response('unavailable', { status: origin.failWith });
+      if (ifNoneMatch === origin.etag) return new Response(null, { status: 304 });
+      return Response.json(origin.body, { headers: { ETag: origin.etag } });
+    },
+  },
+};
+
+async function search(query, waitUntil) {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${query}`),
+    env,
+    waitUntil,
+  });
+}
+
+mock.timers.enable({ apis: ['Date'], now: 0 });
+
+test('an expired index is revalidated in the background with If-None-Match', async () => {
+  const first = await search('original');
+  assert.equal(first.headers.get('location'), `https://metrics.example/relay/${fingerprint}/`);
+  assert.deepEqual(origin.requests, [null]);
+
+  mock.timers.tick(6 * MINUTE);
+  const pending = [];
+  const second = await search('original', (promise) => pending.push(promise));
+  assert.equal(second.status, 302);
+  assert.equal(pending.length, 1);
+  await Promise.all(pending);
+  assert.deepEqual(origin.requests, [null, '"v1"']);
+  assert.equal(second.headers.get('x-search-index'), null);
+});
+
+test('a failed refresh keeps serving the last good index, marked stale', async () => {
+  mock.timers.tick(6 * MINUTE);
+  origin.failWith = 503;
+
+  const response = await search('original');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${fingerprint}/`);
+  assert.equal(response.headers.get('x-search-index'), 'stale');
+
+  // Within the retry interval the origin is not asked again
+  const fetches = origin.requests.length;
+  await search('original');
+  assert.equal(origin.requests.length, fetches);
+});
+
+test('a changed index replaces the cache and clears the stale marker', async () => {
+  mock.timers.tick(MINUTE);
+  origin.failWith = 0;
+  origin.etag = '"v2"';
+  origin.body = indexWith({ f: renamed, n: 'Renamed' });
+
+  const response = await search('renamed');
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${renamed}/`);
+  assert.equal(response.headers.get('x-search-index'), null);
+  assert.equal(origin.requests.at(-1), '"v1"');
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import worker from '../workers/search.js';
+import { onRequest as handlePagesSearch } from '../functions/search.js?search-json';
+
+const fingerprint = 'B'.repeat(40);
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: fingerprint, n: 'JsonRelay', cc: 'DE', a: 'example.org', c: 'abc123', vn: '3' },
+    { f: 'C'.repeat(40), n: 'TwinRelay', cc: 'US' },
+    { f: 'D'.repeat(40), n: 'TwinRelay', cc: 'FR' },
+  ],
+  families: [],
+  lookups: {
+    as_names: {},
+    country_names: { de: 'Germany', us: 'United States', fr: 'France' },
+    platforms: ['linux'],
+    flags: ['running'],
+    validated_aroi_domains: [],
+  },
+};
+
+function pagesRequest(query, headers = {}) {
+  return new Request(`https://metrics.example/search?${query}`, { headers });
+}
+
+async function withIndex(fn) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => Response.json(searchIndex);
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+test('Accept: application/json returns the resolved relay instead of a redirect', async () => {
+  await withIndex(async () => {
+    const response = await handlePagesSearch({
+      request: pagesRequest(`q=${fingerprint}`, { Accept: 'application/json' }),
+      env: {},
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/json/);
+    assert.deepEqual(await response.json(), {
+      query: fingerprint,
+      type: 'relay',
+      id: fingerprint,
+      path: `/relay/${fingerprint}/`,
+    });
+  });
+});
+
+test('format=json exposes disambiguation matches and unvalidated AROI fallbacks', async () => {
+  await withIndex(async () => {
+    const multiple = await handlePagesSearch({ request: pagesRequest('q=twinrelay&format=json'), env: {} });
+    const body = await multiple.json();
+    assert.equal(multiple.status, 200);
+    assert.equal(body.type, 'multiple');
+    assert.deepEqual(body.matches.map((m) => m.cc), ['US', 'FR']);
+    assert.equal(body.matches[0].t, 'relay');
+
+    const aroi = await handlePagesSearch({ request: pagesRequest('q=example.org&format=json'), env: {} });
+    assert.deepEqual(await aroi.json(), {
+      query: 'example.org',
+      type: 'aroi',
+      id: 'example.org',
+      path: '/contact/abc123/',
+    });
+  });
+});
+
+test('JSON mode keeps validation, not-found, and error codes', async () => {
+  await withIndex(async () => {
+    const invalid = await handlePagesSearch({ request: pagesRequest('q=%3Cscript%3E&format=json'), env: {} });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, 'QUERY_INVALID');
+
+    const missing = await handlePagesSearch({ request: pagesRequest('q=nothing-here&format=json'), env: {} });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { query: 'nothing-here', type: 'not_found' });
+  });
+});
+
+test('Workers entry point answers JSON search requests', async () => {
+  const env = {
+    ALLIUM_ASSETS: {
+      async fetch() {
+        return new Response('not found', { status: 404 });
+      },
+    },
+  };
+
+  const response = await worker.fetch(
+    new Request(`https://preview.example/search?q=${fingerprint}`, { headers: { Accept: 'application/json' } }),
+    env,
+    { waitUntil() {}, passThroughOnException() {} },
+  );
+
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).error.code, 'INDEX_404');
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const familyId = 'E'.repeat(40);
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'de', cc: 'FR', fam: familyId },
+    { f: 'B'.repeat(40), n: 'Defender', cc: 'US', a: 'de.example', c: 'd1' },
+    { f: 'C'.repeat(40), n: 'UniqueOne', cc: 'US' },
+  ],
+  families: [{ id: familyId, sz: 2, nn: { delta: 1, de: 1 }, px: 'de', pxg: 1 }],
+  lookups: {
+    as_names: { AS3320: 'Deutsche Telekom AG' },
+    country_names: { de: 'Germany', fr: 'France', us: 'United States' },
+    platforms: ['linux'],
+    flags: ['running'],
+    validated_aroi_domains: ['de.example'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function search(query, extra = '') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&mode=all${extra}`),
+    env,
+  });
+}
+
+test('mode=all groups a country with relays and families of the same name', async () => {
+  const response = await search('de', '&format=json');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.type, 'grouped');
+  assert.deepEqual(body.groups.map((g) => g.type), ['country', 'aroi', 'family', 'relay']);
+  assert.deepEqual(body.groups[0].items, [{ t: 'country', id: 'DE', n: 'Germany', path: '/country/DE/' }]);
+  assert.equal(body.groups[1].items[0].path, '/de.example/');
+  assert.equal(body.groups[2].items[0].path, `/family/${familyId}/`);
+  assert.deepEqual(body.groups[3].items.map((m) => m.n), ['de', 'Defender']);
+});
+
+test('mode=all still redirects when exactly one candidate exists', async () => {
+  const response = await search('uniqueone');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${'C'.repeat(40)}/`);
+});
+
+test('grouped pages render family, operator and country cards', async () => {
+  const response = await search('de');
+  const body = await response.text();
+
+  assert.match(body, /<h4>Countries \(1\)<\/h4>/);
+  assert.match(body, /<a href="\/country\/DE\/"><strong>Germany<\/strong><\/a>/);
+  assert.match(body, /<a href="\/de\.example\/"><strong>de\.example<\/strong><\/a> · <span class="aroi">validated<\/span>/);
+  assert.match(body, new RegExp(`<a href="/family/${familyId}/"><strong>delta</strong></a> · 2 relays`));
+  assert.match(body, /name="mode" value="all" checked>/);
+});
+
+test('the default mode keeps first-match-wins behavior', async () => {
+  const response = await onRequest({
+    request: new Request('https://metrics.example/search?q=de'),
+    env,
+  });
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://metrics.example/country/DE/');
+});
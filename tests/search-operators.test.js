@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'alpha', a: 'foo.org', c: 'hashfooorg' },
+    { f: 'B'.repeat(40), n: 'bravo', a: 'foo.net', c: 'hashfoonet' },
+    { f: 'C'.repeat(40), n: 'charlie', a: 'relays.torproject.de', c: 'hashtpde' },
+    { f: 'D'.repeat(40), n: 'delta', a: 'nodes.example.de', c: 'hashexde' },
+  ],
+  families: [],
+  lookups: {
+    as_names: {},
+    country_names: { de: 'Germany' },
+    platforms: ['linux'],
+    flags: ['running'],
+    validated_aroi_domains: ['foo.net', 'relays.torproject.de'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function search(query, format = 'json') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=${format}`),
+    env,
+  });
+}
+
+test('colliding domain prefixes list every operator, validated first', async () => {
+  const body = await (await search('foo')).json();
+  assert.equal(body.type, 'multiple');
+  assert.deepEqual(body.matches.map((m) => [m.id, m.v, m.path]), [
+    ['foo.net', true, '/foo.net/'],
+    ['foo.org', false, '/contact/hashfooorg/'],
+  ]);
+});
+
+test('suffix queries match every operator under a domain', async () => {
+  const body = await (await search('.de')).json();
+  assert.equal(body.hint, '2 operators under ".de"');
+  assert.deepEqual(body.matches.map((m) => m.id), ['relays.torproject.de', 'nodes.example.de']);
+});
+
+test('contains queries resolve a single operator like an exact domain', async () => {
+  const response = await search('torproject', 'html');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://metrics.example/relays.torproject.de/');
+
+  const unvalidated = await (await search('example')).json();
+  assert.equal(unvalidated.path, '/contact/hashexde/');
+});
+
+test('operator lists show validation status', async () => {
+  const html = await (await search('foo', 'html')).text();
+  assert.match(html, /<a href="\/foo\.net\/"><strong>foo\.net<\/strong><\/a> · <span class="aroi">validated<\/span>/);
+  assert.match(html, /<a href="\/contact\/hashfooorg\/"><strong>foo\.org<\/strong><\/a> · not validated/);
+});
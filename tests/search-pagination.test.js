@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+// 45 "relayNN" nicknames emitted in reverse order, plus 50 "myTor" relays
+// that only match "tor" as a substring.
+const relays = [];
+for (let i = 44; i >= 0; i--) {
+  relays.push({ f: (i + 100).toString(16).toUpperCase().padStart(40, 'A'), n: `relay${String(i).padStart(2, '0')}`, cc: 'DE' });
+}
+for (let i = 0; i < 50; i++) {
+  relays.push({ f: (i + 500).toString(16).toUpperCase().padStart(40, 'B'), n: `myTor${i}`, cc: 'US' });
+}
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays,
+  families: [],
+  lookups: {
+    as_names: {},
+    country_names: { de: 'Germany', us: 'United States' },
+    platforms: ['linux'],
+    flags: ['running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function searchJson(query, page) {
+  const pageParam = page ? `&page=${page}` : '';
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json${pageParam}`),
+    env,
+  });
+  return response.json();
+}
+
+test('prefix matches beyond MAX_RESULTS are paginated in a stable order', async () => {
+  const first = await searchJson('relay');
+  assert.equal(first.total, 45);
+  assert.equal(first.pageCount, 3);
+  assert.equal(first.matches[0].n, 'relay00');
+
+  const second = await searchJson('relay', 2);
+  assert.deepEqual(second.matches.map((m) => m.n).slice(0, 2), ['relay20', 'relay21']);
+
+  const third = await searchJson('relay', 3);
+  assert.equal(third.matches.length, 5);
+  assert.equal(third.matches.at(-1).n, 'relay44');
+});
+
+test('contains matches are no longer dropped above forty results', async () => {
+  const body = await searchJson('tor');
+  assert.equal(body.type, 'multiple');
+  assert.equal(body.total, 50);
+  assert.equal(body.hint, 'Found 50 relays containing "tor"');
+});
+
+test('out-of-range and malformed pages are clamped', async () => {
+  assert.equal((await searchJson('relay', 99)).page, 3);
+  assert.equal((await searchJson('relay', 'abc')).page, 1);
+});
+
+test('the HTML pager uses plain links and keeps the no-script page', async () => {
+  const response = await onRequest({
+    request: new Request('https://metrics.example/search?q=relay&page=2'),
+    env,
+  });
+  const body = await response.text();
+  assert.match(body, /<a href="\/search\?q=relay&amp;page=1" rel="prev">← Previous<\/a>/);
+  assert.match(body, /Page 2 of 3 \(45 results\)/);
+  assert.doesNotMatch(body, /<script/);
+  assert.match(response.headers.get('content-security-policy'), /script-src 'none'/);
+});
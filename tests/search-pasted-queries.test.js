@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js?pasted';
+
+const fingerprint = '0123456789ABCDEF0123456789ABCDEF01234567';
+const familyId = 'F'.repeat(40);
+const edKey = 'n0Z6Yq3+Jq8bq/9k1xHqg0Pp9mDJ0gG8w7mZl2s0aBc';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: fingerprint, n: 'PastedRelay', cc: 'DE', ed: edKey },
+    { f: 'B'.repeat(40), n: 'NoIdentity', cc: 'DE' },
+  ],
+  families: [{ id: familyId, sz: 1, nn: { pastedrelay: 1 } }],
+  lookups: { as_names: {}, country_names: {} },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function resolve(query) {
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json`),
+    env,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const relayPath = `/relay/${fingerprint}/`;
+
+test('relay links resolve to the fingerprint they point at', async () => {
+  for (const query of [
+    `https://metrics.torproject.org/rs.html#details/${fingerprint}`,
+    `https://metrics.torproject.org/rs.html#details/${fingerprint.toLowerCase()}`,
+    `https://metrics.1aeo.com/relay/${fingerprint}/`,
+    `  https://metrics.1aeo.com/relay/${fingerprint}/?lang=de  `,
+    `http://example.onion/relay/%24${fingerprint}`,
+  ]) {
+    const { status, body } = await resolve(query);
+    assert.equal(status, 200, query);
+    assert.equal(body.path, relayPath, query);
+  }
+
+  const family = await resolve(`https://metrics.1aeo.com/family/${familyId}/`);
+  assert.deepEqual(family.body, { query: familyId, type: 'family', id: familyId, path: `/family/${familyId}/` });
+});
+
+test('tor-formatted fingerprints resolve', async () => {
+  const grouped = fingerprint.match(/.{4}/g).join(' ');
+  for (const query of [
+    `$${fingerprint}`,
+    `$${fingerprint}~PastedRelay`,
+    `$${fingerprint}=PastedRelay`,
+    grouped,
+    `PastedRelay ${grouped}`,
+    `$${fingerprint.slice(0, 8)}`,
+  ]) {
+    const { status, body } = await resolve(query);
+    assert.equal(status, 200, query);
+    assert.equal(body.path, relayPath, query);
+  }
+});
+
+test('Ed25519 identity keys resolve when the index carries them', async () => {
+  for (const query of [edKey, `${edKey}=`]) {
+    const { status, body } = await resolve(query);
+    assert.equal(status, 200, query);
+    assert.equal(body.path, relayPath, query);
+  }
+  const unknown = await resolve('A'.repeat(43));
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.type, 'not_found');
+});
+
+test('normalized queries are still length-limited and allowlisted', async () => {
+  // A link without an identifier is checked as typed
+  const noId = await resolve('https://metrics.torproject.org/rs.html#search/flag:exit');
+  assert.equal(noId.status, 400);
+  assert.equal(noId.body.error.code, 'QUERY_INVALID');
+
+  const long = await resolve(`https://metrics.1aeo.com/${'x'.repeat(2100)}/relay/${fingerprint}/`);
+  assert.equal(long.status, 400);
+  assert.match(long.body.error.message, /too long/i);
+
+  // '+' is accepted only as part of an Ed25519 key
+  assert.equal((await resolve('a+b')).status, 400);
+  assert.equal((await resolve(`$${fingerprint}<script>`)).status, 400);
+});
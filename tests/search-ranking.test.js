@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const bigFamily = 'F'.repeat(40);
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'relayAardvark', cc: 'DE' },
+    { f: 'B'.repeat(40), n: 'relayBig', cc: 'DE', fam: bigFamily },
+    { f: 'C'.repeat(40), n: 'relayCiiss', cc: 'DE', a: 'ops.example', c: 'h1', vn: '3' },
+    { f: 'D'.repeat(40), n: 'relay', cc: 'US' },
+    { f: 'E'.repeat(40), n: 'myrelay', cc: 'US', vn: '3' },
+  ],
+  families: [{ id: bigFamily, sz: 16, v: true }],
+  lookups: {
+    as_names: {},
+    country_names: { de: 'Germany', us: 'United States' },
+    platforms: ['linux'],
+    flags: ['running'],
+    validated_aroi_domains: ['ops.example'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function searchJson(query, extra = '') {
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json${extra}`),
+    env,
+  });
+  return response.json();
+}
+
+test('prefix matches rank by family size, validation and CIISS version', async () => {
+  const body = await searchJson('relayb', '&mode=all');
+  assert.equal(body.type, 'relay');
+
+  // "rel" is a prefix of every relay except myrelay, which only contains it
+  const ranked = await searchJson('rel');
+  assert.equal(ranked.order, 'relevance');
+  assert.deepEqual(ranked.matches.map((m) => [m.n, m.score]), [
+    ['relayBig', 95],
+    ['relayCiiss', 85],
+    ['relay', 60],
+    ['relayAardvark', 60],
+  ]);
+});
+
+test('exact nickname matches outrank prefix matches in mixed mode', async () => {
+  const body = await searchJson('relay', '&mode=all');
+  const relays = body.groups.find((g) => g.type === 'relay');
+  assert.deepEqual(relays.items.map((m) => m.n), ['relay', 'relayBig', 'relayCiiss', 'relayAardvark']);
+});
+
+test('contains matches lose points for later match positions', async () => {
+  const body = await searchJson('lay');
+  assert.deepEqual(body.matches.map((m) => [m.n, m.score]), [
+    ['relayBig', 63],
+    ['relayCiiss', 53],
+    ['myrelay', 36],
+    ['relay', 28],
+    ['relayAardvark', 28],
+  ]);
+});
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { SearchRateLimiter, clientKey, takeToken, takeTokens } from '../functions/_ratelimit.js';
+import { onRequest, onSuggestRequest } from '../functions/search.js?rate-limit';
+import worker from '../workers/search.js';
+
+const fingerprint = 'A'.repeat(40);
+const index = {
+  meta: { version: '1.6' },
+  relays: [{ f: fingerprint, n: 'LimitedRelay', cc: 'US' }],
+  families: [],
+  lookups: { as_names: {}, country_names: { us: 'United States' } },
+};
+
+const assets = {
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    if (pathname === '/search-index.json') return Response.json(index);
+    return new Response('static', { status: 200 });
+  },
+};
+
+// Two requests per minute, no extra burst: the third is refused for 30s
+function limitedEnv(extra = {}) {
+  return { ALLIUM_ASSETS: assets, SEARCH_RATE_LIMIT_PER_MINUTE: '2', ...extra };
+}
+
+function requestFor(path, ip, headers = {}) {
+  return new Request(`https://metrics.example${path}`, {
+    headers: { 'CF-Connecting-IP': ip, ...headers },
+  });
+}
+
+test('the token bucket starts full, refills over time and reports the wait', () => {
+  const config = { capacity: 2, refillPerSecond: 1 / 30 };
+  const bucket = {};
+  assert.deepEqual(takeToken(bucket, 0, config), { allowed: true, retryAfter: 0 });
+  assert.deepEqual(takeToken(bucket, 0, config), { allowed: true, retryAfter: 0 });
+  assert.deepEqual(takeToken(bucket, 0, config), { allowed: false, retryAfter: 30 });
+  assert.deepEqual(takeToken(bucket, 20 * 1000, config), { allowed: false, retryAfter: 10 });
+  assert.deepEqual(takeToken(bucket, 30 * 1000, config), { allowed: true, retryAfter: 0 });
+  // Refill never exceeds the bucket size
+  assert.equal(takeToken(bucket, 3600 * 1000, config).allowed, true);
+  assert.equal(bucket.tokens, 1);
+});
+
+test('IPv6 clients share a bucket per /64', () => {
+  assert.equal(clientKey('2001:db8:1:2:aaaa::1'), '2001:db8:1:2::/64');
+  assert.equal(clientKey('2001:DB8:1:2:bbbb::9'), '2001:db8:1:2::/64');
+  assert.equal(clientKey('192.0.2.1'), '192.0.2.1');
+  assert.equal(clientKey(null), 'unknown');
+});
+
+test('over the limit, search answers 429 with Retry-After', async () => {
+  const env = limitedEnv();
+  for (let i = 0; i < 2; i++) {
+    const ok = await onRequest({ request: requestFor(`/search?q=${fingerprint}`, '192.0.2.10'), env });
+    assert.equal(ok.status, 302);
+  }
+
+  const html = await onRequest({ request: requestFor('/search?q=limitedrelay', '192.0.2.10'), env });
+  assert.equal(html.status, 429);
+  assert.equal(html.headers.get('retry-after'), '30');
+  assert.equal(html.headers.get('cache-control'), 'no-store');
+  assert.match(await html.text(), /Too many searches from your network\. Try again in 30 seconds\./);
+
+  const json = await onRequest({
+    request: requestFor('/search?q=limitedrelay&format=json', '192.0.2.10'),
+    env,
+  });
+  assert.equal(json.status, 429);
+  assert.equal((await json.json()).error.code, 'RATE_LIMITED');
+
+  const suggest = await onSuggestRequest({ request: requestFor('/search/suggest?q=lim', '192.0.2.10'), env });
+  assert.equal(suggest.status, 429);
+  assert.equal(suggest.headers.get('retry-after'), '30');
+
+  // Other clients keep their own buckets
+  const other = await onRequest({ request: requestFor(`/search?q=${fingerprint}`, '192.0.2.11'), env });
+  assert.equal(other.status, 302);
+});
+
+test('the exemption header secret and a disabled limit bypass the bucket', async () => {
+  const env = limitedEnv({ SEARCH_RATE_LIMIT_SECRET: 'monitoring-secret' });
+  const exempt = { 'X-Search-Rate-Limit-Secret': 'monitoring-secret' };
+  for (let i = 0; i < 4; i++) {
+    const response = await onRequest({
+      request: requestFor(`/search?q=${fingerprint}`, '192.0.2.20', exempt),
+      env,
+    });
+    assert.equal(response.status, 302);
+  }
+
+  const wrong = { 'X-Search-Rate-Limit-Secret': 'guess' };
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await onRequest({ request: requestFor(`/search?q=${fingerprint}`, '192.0.2.21', wrong), env });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [302, 302, 429]);
+
+  for (let i = 0; i < 4; i++) {
+    const response = await onRequest({
+      request: requestFor(`/search?q=${fingerprint}`, '192.0.2.22'),
+      env: { ALLIUM_ASSETS: assets },
+    });
+    assert.equal(response.status, 302);
+  }
+});
+
+test('a Durable Object namespace holds the buckets when bound', async () => {
+  const objects = new Map();
+  const names = [];
+  const namespace = {
+    idFromName(name) {
+      names.push(name);
+      return name;
+    },
+    get(id) {
+      if (!objects.has(id)) objects.set(id, new SearchRateLimiter({}, {}));
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    },
+  };
+  const env = limitedEnv({ SEARCH_RATE_LIMITER: namespace });
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await onRequest({ request: requestFor(`/search?q=${fingerprint}`, '2001:db8::30'), env });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [302, 302, 429]);
+  assert.deepEqual([...new Set(names)], ['2001:db8::/64']);
+
+  // A failing limiter never blocks searches
+  const broken = {
+    idFromName: (name) => name,
+    get: () => ({ async fetch() { throw new Error('object unavailable'); } }),
+  };
+  const response = await onRequest({
+    request: requestFor(`/search?q=${fingerprint}`, '2001:db8::30'),
+    env: limitedEnv({ SEARCH_RATE_LIMITER: broken }),
+  });
+  assert.equal(response.status, 302);
+});
+
+test('the Worker limits search routes but never static assets', async () => {
+  const env = limitedEnv();
+  const ctx = { waitUntil() {}, passThroughOnException() {} };
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await worker.fetch(requestFor(`/search?q=${fingerprint}`, '192.0.2.40'), env, ctx);
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [302, 302, 429]);
+
+  const page = await worker.fetch(requestFor('/relay/index.html', '192.0.2.40'), env, ctx);
+  assert.equal(page.status, 200);
+  assert.equal(await page.text(), 'static');
+});
+
+test('a batch takes as many tokens as the bucket holds', () => {
+  const config = { capacity: 3, refillPerSecond: 1 / 20 };
+  const bucket = {};
+  assert.deepEqual(takeTokens(bucket, 0, config, 5), { granted: 3, retryAfter: 20 });
+  assert.deepEqual(takeTokens(bucket, 0, config, 1), { granted: 0, retryAfter: 20 });
+  assert.deepEqual(takeTokens(bucket, 40 * 1000, config, 2), { granted: 2, retryAfter: 0 });
+});
@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+// Cache API stand-in shared by every module instance in this file
+const stored = new Map();
+globalThis.caches = {
+  default: {
+    async match(request) {
+      return stored.get(request.url)?.clone();
+    },
+    async put(request, response) {
+      stored.set(request.url, response);
+    },
+  },
+};
+
+const fingerprint = 'A'.repeat(40);
+const renamed = 'B'.repeat(40);
+const MINUTE = 60 * 1000;
+
+function indexWith(generatedAt, relay) {
+  return {
+    meta: { version: '1.6', generated_at: generatedAt },
+    relays: [relay, { f: 'C'.repeat(40), n: 'operator', a: 'example.org', c: 'hash-example' }],
+    families: [],
+    lookups: { as_names: {}, country_names: {} },
+  };
+}
+
+const origin = {
+  body: indexWith('2026-10-19T00:00:00Z', { f: fingerprint, n: 'Cached' }),
+  probes: 0,
+};
+
+// No validated_aroi_domains: AROI results probe the assets binding
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch(request) {
+      const { pathname } = new URL(request.url);
+      if (pathname === '/search-index.json') return Response.json(origin.body);
+      origin.probes += 1;
+      return new Response('page', { status: 200 });
+    },
+  },
+};
+
+function search(query, extra = '') {
+  return new Request(`https://metrics.example/search?q=${query}${extra}`);
+}
+
+mock.timers.enable({ apis: ['Date'], now: 0 });
+
+test('a repeated query is answered from the cache without storage probes', async () => {
+  const { onRequest } = await import('../functions/search.js?resolution-cache');
+
+  const first = await onRequest({ request: search('example.org'), env });
+  assert.equal(first.status, 302);
+  assert.equal(first.headers.get('x-search-cache'), 'MISS');
+  assert.equal(origin.probes, 1);
+
+  const second = await onRequest({ request: search('example.org'), env });
+  assert.equal(second.status, 302);
+  assert.equal(second.headers.get('x-search-cache'), 'HIT');
+  assert.equal(second.headers.get('location'), 'https://metrics.example/example.org/');
+  assert.equal(origin.probes, 1);
+
+  // Format, language and page are part of the key
+  const json = await onRequest({ request: search('nothing', '&format=json'), env });
+  const html = await onRequest({ request: search('nothing', '&lang=de'), env });
+  assert.equal(json.headers.get('x-search-cache'), 'MISS');
+  assert.equal(html.headers.get('x-search-cache'), 'MISS');
+
+  const jsonHit = await onRequest({ request: search('nothing', '&format=json'), env });
+  assert.equal(jsonHit.headers.get('x-search-cache'), 'HIT');
+  assert.equal(jsonHit.status, 404);
+  assert.equal(jsonHit.headers.get('cache-control'), 'no-store');
+  assert.deepEqual(await jsonHit.json(), { query: 'nothing', type: 'not_found' });
+
+  const htmlHit = await onRequest({ request: search('nothing', '&lang=de'), env });
+  assert.equal(htmlHit.headers.get('x-search-cache'), 'HIT');
+  assert.equal(htmlHit.headers.get('vary'), 'Accept, Accept-Language');
+  assert.equal(htmlHit.headers.get('cache-control'), null);
+  assert.equal(htmlHit.headers.get('content-language'), 'de');
+  assert.match(await htmlHit.text(), /lang="de"/);
+});
+
+test('a new index generation never serves older resolutions', async () => {
+  const { onRequest } = await import('../functions/search.js?resolution-cache');
+
+  mock.timers.tick(6 * MINUTE);
+  origin.body = indexWith('2026-10-19T01:00:00Z', { f: renamed, n: 'Cached' });
+
+  const response = await onRequest({ request: search('cached'), env });
+  assert.equal(response.headers.get('x-search-cache'), 'MISS');
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${renamed}/`);
+});
+
+test('a cold isolate with a cached resolution does not load the index shards', async () => {
+  const { onRequest } = await import('../functions/search.js?resolution-cache-cold');
+  const fetched = [];
+  const sharded = {
+    '/search-index.json': {
+      meta: { version: '1.6', generated_at: '2026-10-19T01:00:00Z' },
+      shards: { base: 'search-index/base.json', fp: { B: 'search-index/fp-B.json' } },
+    },
+  };
+  const coldEnv = {
+    ALLIUM_ASSETS: {
+      async fetch(request) {
+        const { pathname } = new URL(request.url);
+        fetched.push(`${request.method} ${pathname}`);
+        return sharded[pathname] ? Response.json(sharded[pathname]) : new Response('missing', { status: 404 });
+      },
+    },
+  };
+
+  // No ETag on the HEAD probe: the generation comes from the manifest
+  const response = await onRequest({ request: search('cached'), env: coldEnv });
+  assert.equal(response.headers.get('x-search-cache'), 'HIT');
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${renamed}/`);
+  assert.deepEqual(fetched, ['HEAD /search-index.json', 'GET /search-index.json']);
+});
+
+test('a cold isolate answers a cached resolution from the index ETag without loading the index', async () => {
+  const fetched = [];
+  const etagEnv = {
+    ALLIUM_ASSETS: {
+      async fetch(request) {
+        const { pathname } = new URL(request.url);
+        fetched.push(`${request.method} ${pathname}`);
+        if (pathname !== '/search-index.json') return new Response('missing', { status: 404 });
+        const headers = { ETag: '"monolithic-1"' };
+        return request.method === 'HEAD' ? new Response(null, { headers }) : Response.json(origin.body, { headers });
+      },
+    },
+  };
+
+  const warm = await import('../functions/search.js?resolution-cache-etag-warm');
+  const miss = await warm.onRequest({ request: search('cached'), env: etagEnv });
+  assert.equal(miss.headers.get('x-search-cache'), 'MISS');
+  // The warm isolate keys by the ETag of the index it loaded
+  const hitWarm = await warm.onRequest({ request: search('cached'), env: etagEnv });
+  assert.equal(hitWarm.headers.get('x-search-cache'), 'HIT');
+
+  fetched.length = 0;
+  const cold = await import('../functions/search.js?resolution-cache-etag-cold');
+  const hit = await cold.onRequest({ request: search('cached'), env: etagEnv });
+  assert.equal(hit.headers.get('x-search-cache'), 'HIT');
+  assert.equal(hit.headers.get('location'), `https://metrics.example/relay/${renamed}/`);
+  // Only the HEAD probe: the index is never downloaded, so no lookup maps are built
+  assert.deepEqual(fetched, ['HEAD /search-index.json']);
+});
+
+test('index errors are not cached', async () => {
+  const { onRequest } = await import('../functions/search.js?resolution-cache-errors');
+  const failing = {
+    ALLIUM_ASSETS: { async fetch() { return new Response('unavailable', { status: 503 }); } },
+  };
+  const before = stored.size;
+  const response = await onRequest({ request: search('cached'), env: failing });
+  assert.equal(response.status, 503);
+  assert.equal(stored.size, before);
+});
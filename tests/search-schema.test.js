@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { adaptIndex, schemaAdapter } from '../functions/_schema.js';
+
+const fingerprint = 'A'.repeat(40);
+
+function indexEnv(body) {
+  return {
+    ALLIUM_ASSETS: {
+      async fetch() { return Response.json(body); },
+    },
+  };
+}
+
+function request(query) {
+  return new Request(`https://metrics.example/search?q=${query}&format=json`);
+}
+
+test('1.x and unversioned legacy indexes use the v1 adapter', () => {
+  assert.equal(schemaAdapter({ version: '1.6' }).name, 'v1');
+  assert.equal(schemaAdapter({ version: '1.99' }).name, 'v1');
+  assert.equal(schemaAdapter(undefined).name, 'v1');
+
+  const { adapter, index } = adaptIndex({ relays: 'bogus', families: null });
+  assert.equal(adapter, 'v1');
+  assert.deepEqual(index, { meta: {}, relays: [], families: [], lookups: {} });
+});
+
+test('majors without an adapter are refused', () => {
+  for (const version of ['2.0', '0.9', 'v1.6', '10.1']) {
+    assert.throws(() => schemaAdapter({ version }), /Unsupported search-index major version/, version);
+  }
+  assert.throws(() => adaptIndex(null), /expected object/);
+});
+
+test('responses name the adapter that read the index', async () => {
+  const { onRequest, onSuggestRequest } = await import('../functions/search.js?schema-v1');
+  const env = indexEnv({
+    meta: { version: '1.6' },
+    relays: [{ f: fingerprint, n: 'SchemaRelay' }],
+    families: [],
+    lookups: {},
+  });
+
+  const found = await onRequest({ request: request(fingerprint), env });
+  assert.equal(found.status, 200);
+  assert.equal(found.headers.get('x-search-index-adapter'), 'v1');
+
+  const suggest = await onSuggestRequest({ request: new Request('https://metrics.example/search/suggest?q=sch'), env });
+  assert.equal(suggest.headers.get('x-search-index-adapter'), 'v1');
+});
+
+test('an index with an unknown major fails with INDEX_SCHEMA', async () => {
+  const { onRequest } = await import('../functions/search.js?schema-unknown');
+  const response = await onRequest({
+    request: request(fingerprint),
+    env: indexEnv({ meta: { version: '3.0' }, relays: [{ f: fingerprint }] }),
+  });
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get('x-search-index-adapter'), null);
+  assert.equal((await response.json()).error.code, 'INDEX_SCHEMA');
+});
+
+test('a sharded manifest with an unknown major is refused before any shard fetch', async () => {
+  const { onRequest } = await import('../functions/search.js?schema-sharded');
+  const fetched = [];
+  const response = await onRequest({
+    request: request(fingerprint),
+    env: {
+      ALLIUM_ASSETS: {
+        async fetch(req) {
+          fetched.push(new URL(req.url).pathname);
+          return Response.json({ meta: { version: '3.0' }, shards: { base: 'search-index/base.json' } });
+        },
+      },
+    },
+  });
+  assert.equal((await response.json()).error.code, 'INDEX_SCHEMA');
+  assert.deepEqual([...new Set(fetched)], ['/search-index.json']);
+});
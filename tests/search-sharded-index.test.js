@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+const alpha = 'A'.repeat(40);
+const able = 'A' + '1'.repeat(39);
+const bravo = 'B'.repeat(40);
+const familyId = 'E'.repeat(40);
+
+const relays = [
+  { f: alpha, n: 'alpha', cc: 'DE', a: 'alpha.example', c: 'h1', fam: familyId },
+  { f: able, n: 'able', cc: 'DE', fam: familyId },
+  { f: bravo, n: 'bravo', cc: 'US' },
+];
+const families = [{ id: familyId, sz: 2, nn: { alpha: 1, able: 1 }, px: 'a', pxg: 1 }];
+const lookups = {
+  as_names: {},
+  country_names: { de: 'Germany', us: 'United States' },
+  platforms: ['linux'],
+  flags: ['running'],
+};
+const meta = { version: '1.6' };
+
+const monolithic = { meta, relays, families, lookups };
+const manifest = {
+  meta,
+  shards: {
+    base: 'search-index/base.json',
+    fp: { A: 'search-index/fp-A.json', B: 'search-index/fp-B.json' },
+    nick: { a: 'search-index/nick-a.json', b: 'search-index/nick-b.json' },
+  },
+};
+const files = {
+  '/search-index.json': manifest,
+  '/search-index/base.json': { families, lookups },
+  '/search-index/fp-A.json': { relays: [relays[0], relays[1]] },
+  '/search-index/fp-B.json': { relays: [relays[2]] },
+  '/search-index/nick-a.json': { relays: [relays[1], relays[0]] },
+  '/search-index/nick-b.json': { relays: [relays[2]] },
+};
+
+// Assets binding serving `overrides` over the sharded files, logging paths
+function assets(overrides = {}) {
+  const fetched = [];
+  const env = {
+    ALLIUM_ASSETS: {
+      async fetch(request) {
+        const { pathname } = new URL(request.url);
+        fetched.push(pathname);
+        const body = { ...files, ...overrides }[pathname];
+        if (!body) return new Response('missing', { status: 404 });
+        return Response.json(body, { headers: { ETag: '"g1"' } });
+      },
+    },
+  };
+  return { env, fetched };
+}
+
+function request(path) {
+  return new Request(`https://metrics.example${path}`);
+}
+
+test('a cold fingerprint lookup fetches only the manifest, base and one fp shard', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-fp');
+  const { env, fetched } = assets();
+
+  const response = await onRequest({ request: request(`/search?q=${alpha.toLowerCase()}`), env });
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${alpha}/`);
+  assert.deepEqual(fetched.sort(), ['/search-index.json', '/search-index/base.json', '/search-index/fp-A.json']);
+
+  // With waitUntil the full index is warmed in the background, reusing
+  // the shards already fetched for the same manifest
+  const pending = [];
+  await onRequest({
+    request: request(`/search?q=${alpha}`),
+    env,
+    waitUntil: (promise) => pending.push(promise),
+  });
+  assert.equal(pending.length, 1);
+  await Promise.all(pending);
+  assert.deepEqual(fetched.slice(3).sort(), ['/search-index.json', '/search-index/fp-B.json']);
+
+  const count = fetched.length;
+  const byNick = await onRequest({ request: request('/search?q=bravo'), env });
+  assert.equal(byNick.headers.get('location'), `https://metrics.example/relay/${bravo}/`);
+  assert.equal(fetched.length, count);
+});
+
+test('family ids and unknown fingerprints are decided from base plus one shard', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-family');
+  const { env, fetched } = assets({ '/search-index/fp-E.json': { relays: [] } });
+  manifest.shards.fp.E = 'search-index/fp-E.json';
+  try {
+    const family = await onRequest({ request: request(`/search?q=${familyId}`), env });
+    assert.equal(family.headers.get('location'), `https://metrics.example/family/${familyId}/`);
+
+    const missing = await onRequest({ request: request(`/search?q=${'A'.repeat(39)}0&format=json`), env });
+    assert.equal(missing.status, 404);
+    assert.equal(fetched.includes('/search-index/fp-B.json'), false);
+  } finally {
+    delete manifest.shards.fp.E;
+  }
+});
+
+test('other queries load every fp shard and match the monolithic index', async () => {
+  const sharded = await import('../functions/search.js?sharded-full');
+  const plain = await import('../functions/search.js?sharded-monolithic');
+  const { env } = assets();
+  const { env: plainEnv } = assets({ '/search-index.json': monolithic });
+
+  for (const query of ['a', 'germany', 'alpha.example', '1111111']) {
+    const path = `/search?q=${query}&format=json`;
+    const fromShards = await (await sharded.onRequest({ request: request(path), env })).json();
+    const fromFile = await (await plain.onRequest({ request: request(path), env: plainEnv })).json();
+    assert.deepEqual(fromShards, fromFile, query);
+  }
+});
+
+test('cold suggestions come from the nickname shard', async () => {
+  const { onSuggestRequest } = await import('../functions/search.js?sharded-suggest');
+  const { env, fetched } = assets();
+
+  const response = await onSuggestRequest({ request: request('/search/suggest?q=ab'), env });
+  assert.deepEqual(await response.json(), ['ab', ['able'], ['Relay'], ['https://metrics.example/search?q=able']]);
+  assert.deepEqual(fetched.sort(), ['/search-index.json', '/search-index/base.json', '/search-index/nick-a.json']);
+});
+
+test('the monolithic format is adopted directly by the shard probe', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-fallback');
+  const { env, fetched } = assets({ '/search-index.json': monolithic });
+
+  const response = await onRequest({ request: request(`/search?q=${bravo}`), env });
+  assert.equal(response.headers.get('location'), `https://metrics.example/relay/${bravo}/`);
+  assert.deepEqual(fetched, ['/search-index.json']);
+});
+
+test('unsafe shard paths are refused as a schema error', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-unsafe');
+  const { env, fetched } = assets({
+    '/search-index.json': { meta, shards: { base: '../secrets.json', fp: { A: 'https://evil.example/a.json' } } },
+  });
+
+  const response = await onRequest({ request: request(`/search?q=${alpha}&format=json`), env });
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).error.code, 'INDEX_SCHEMA');
+  assert.deepEqual([...new Set(fetched)], ['/search-index.json']);
+});
+
+// Assets binding whose manifest honors If-None-Match; `origin` controls
+// the manifest ETag and failures
+function revalidatingAssets(origin) {
+  const fetched = [];
+  const env = {
+    ALLIUM_ASSETS: {
+      async fetch(request) {
+        const { pathname } = new URL(request.url);
+        const ifNoneMatch = request.headers.get('If-None-Match');
+        fetched.push(ifNoneMatch ? `${pathname} ${ifNoneMatch}` : pathname);
+        if (pathname === '/search-index.json') {
+          if (origin.failWith) return new Response('unavailable', { status: origin.failWith });
+          if (ifNoneMatch === origin.etag) return new Response(null, { status: 304 });
+        }
+        const body = { ...files, ...origin.overrides }[pathname];
+        if (!body) return new Response('missing', { status: 404 });
+        return Response.json(body, { headers: { ETag: origin.etag } });
+      },
+    },
+  };
+  return { env, fetched };
+}
+
+test('concurrent cold lookups share one manifest fetch', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-concurrent');
+  const { env, fetched } = assets();
+
+  const responses = await Promise.all([alpha, bravo].map((fp) => onRequest({ request: request(`/search?q=${fp}`), env })));
+  assert.deepEqual(responses.map((r) => r.status), [302, 302]);
+  assert.equal(fetched.filter((path) => path === '/search-index.json').length, 1);
+});
+
+test('the cold manifest expires, revalidates and is kept stale on failure', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { onRequest } = await import('../functions/search.js?sharded-manifest-ttl');
+  const origin = { etag: '"g1"', failWith: 0 };
+  const { env, fetched } = revalidatingAssets(origin);
+  const lookup = () => onRequest({ request: request(`/search?q=${alpha}`), env });
+  const manifestFetches = () => fetched.filter((path) => path.startsWith('/search-index.json'));
+
+  assert.equal((await lookup()).status, 302);
+  await lookup();
+  assert.deepEqual(manifestFetches(), ['/search-index.json']);
+
+  // Unchanged after the TTL: 304, shards reused
+  t.mock.timers.tick(6 * 60 * 1000);
+  assert.equal((await lookup()).status, 302);
+  assert.deepEqual(manifestFetches(), ['/search-index.json', '/search-index.json "g1"']);
+  assert.equal(fetched.filter((path) => path === '/search-index/fp-A.json').length, 1);
+
+  // Failed revalidation: last manifest served, marked stale, retried later
+  t.mock.timers.tick(6 * 60 * 1000);
+  origin.failWith = 503;
+  const stale = await lookup();
+  assert.equal(stale.status, 302);
+  assert.equal(stale.headers.get('x-search-index'), 'stale');
+  await lookup();
+  assert.equal(manifestFetches().length, 3);
+
+  // A new manifest drops the shards of the old one
+  t.mock.timers.tick(30 * 1000);
+  origin.failWith = 0;
+  origin.etag = '"g2"';
+  const fresh = await lookup();
+  assert.equal(fresh.headers.get('x-search-index'), null);
+  assert.equal(manifestFetches().length, 4);
+  assert.equal(fetched.filter((path) => path === '/search-index/fp-A.json').length, 2);
+});
+
+test('a failed cold load fetches the manifest again', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-cold-failure');
+  const origin = { etag: '"g1"', overrides: { '/search-index/fp-A.json': undefined } };
+  const { env, fetched } = revalidatingAssets(origin);
+
+  const manifestFetches = () => fetched.filter((path) => path === '/search-index.json').length;
+
+  // The shard probe and the full load both fail on the missing fp shard
+  const failed = await onRequest({ request: request(`/search?q=${alpha}&format=json`), env });
+  assert.equal(failed.status, 503);
+  const before = manifestFetches();
+
+  origin.overrides = {};
+  const recovered = await onRequest({ request: request(`/search?q=${alpha}`), env });
+  assert.equal(recovered.status, 302);
+  assert.equal(manifestFetches(), before + 1);
+});
+
+test('on Pages the manifest and its shards are read past the edge cache', async (t) => {
+  const { onRequest } = await import('../functions/search.js?sharded-pages');
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async (request, init = {}) => {
+    const { pathname } = new URL(request.url);
+    fetched.push([pathname, init.cache ?? 'edge']);
+    return Response.json(files[pathname], { headers: { ETag: '"g1"' } });
+  });
+
+  const response = await onRequest({ request: request(`/search?q=${alpha}`), env: {} });
+  assert.equal(response.status, 302);
+  // The first manifest read may come from the edge; once it is known to be
+  // a manifest, it is read again uncached and so is every shard
+  assert.deepEqual(fetched.filter(([path]) => path !== '/search-index.json'), [
+    ['/search-index/base.json', 'no-store'],
+    ['/search-index/fp-A.json', 'no-store'],
+  ]);
+  assert.deepEqual(fetched.filter(([path]) => path === '/search-index.json').at(-1), ['/search-index.json', 'no-store']);
+});
+
+test('base lookups are built once per manifest, not per cold shard', async () => {
+  const { onRequest } = await import('../functions/search.js?sharded-base-once');
+  let reads = 0;
+  const base = {
+    families,
+    lookups: {
+      ...lookups,
+      get as_names() {
+        reads += 1;
+        return lookups.as_names;
+      },
+    },
+  };
+  // A parsed body keeps the getter that a JSON round trip would drop
+  const { env } = assets();
+  env.ALLIUM_ASSETS.fetch = ((fetchAsset) => async (req) => {
+    const { pathname } = new URL(req.url);
+    if (pathname === '/search-index/base.json') return { ok: true, status: 200, headers: new Headers(), json: async () => base };
+    return fetchAsset(req);
+  })(env.ALLIUM_ASSETS.fetch);
+
+  await onRequest({ request: request(`/search?q=${alpha}`), env });
+  await onRequest({ request: request(`/search?q=${bravo}`), env });
+  assert.equal(reads, 1);
+});
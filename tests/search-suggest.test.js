@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import worker from '../workers/search.js';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'HetznerRelay', as: 'AS24940', cc: 'DE', a: 'hetzner-ops.example', c: 'h1' },
+    { f: 'B'.repeat(40), n: 'heron', cc: 'DE' },
+    { f: 'C'.repeat(40), n: 'Heron', cc: 'US' },
+  ],
+  families: [{ id: 'F'.repeat(40), sz: 4, nn: { herald: 1 } }],
+  lookups: {
+    as_names: { AS24940: 'Hetzner Online GmbH' },
+    country_names: { de: 'Germany', us: 'United States' },
+    platforms: ['linux'],
+    flags: ['running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch(request) {
+      if (new URL(request.url).pathname === '/search-index.json') {
+        return Response.json(searchIndex);
+      }
+      return new Response('not found', { status: 404 });
+    },
+  },
+};
+
+function executionContext() {
+  return { waitUntil() {}, passThroughOnException() {} };
+}
+
+async function get(path) {
+  return worker.fetch(new Request(`https://preview.example${path}`), env, executionContext());
+}
+
+test('suggest returns OpenSearch Suggestions JSON from every lookup source', async () => {
+  const response = await get('/search/suggest?q=he');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/x-suggestions\+json/);
+
+  const [query, completions, descriptions, urls] = await response.json();
+  assert.equal(query, 'he');
+  assert.deepEqual(completions, ['herald', 'heron', 'hetzner-ops.example', 'HetznerRelay']);
+  assert.deepEqual(descriptions, ['Family (4 relays)', '2 relays', 'Operator', 'Relay']);
+  assert.equal(urls[1], 'https://preview.example/search?q=heron');
+});
+
+test('suggest matches AS numbers and country names', async () => {
+  const [, asCompletions, asDescriptions] = await (await get('/search/suggest?q=2494')).json();
+  assert.deepEqual(asCompletions, ['AS24940']);
+  assert.deepEqual(asDescriptions, ['Hetzner Online GmbH']);
+
+  const [, countries] = await (await get('/search/suggest?q=germ')).json();
+  assert.deepEqual(countries, ['Germany']);
+});
+
+test('invalid suggest queries return an empty suggestion list', async () => {
+  const response = await get('/search/suggest?q=%3Cx%3E');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), ['', [], [], []]);
+});
+
+test('opensearch.xml points browsers at the request origin', async () => {
+  const response = await get('/opensearch.xml');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/opensearchdescription\+xml/);
+
+  const body = await response.text();
+  assert.match(body, /template="https:\/\/preview\.example\/search\?q=\{searchTerms\}"/);
+  assert.match(body, /template="https:\/\/preview\.example\/search\/suggest\?q=\{searchTerms\}"/);
+});
+
+test('the Pages catch-all serves suggestions and opensearch.xml', async () => {
+  const { onRequest } = await import('../functions/[[path]].js');
+  const pages = (path, segments) => onRequest({
+    request: new Request(`https://pages.example${path}`),
+    env,
+    params: { path: segments },
+    waitUntil() {},
+  });
+
+  const suggestions = await pages('/search/suggest?q=her', ['search', 'suggest']);
+  assert.match(suggestions.headers.get('content-type'), /^application\/x-suggestions\+json/);
+  assert.deepEqual((await suggestions.json())[1], ['herald', 'heron']);
+
+  const description = await pages('/opensearch.xml', ['opensearch.xml']);
+  assert.match(description.headers.get('content-type'), /^application\/opensearchdescription\+xml/);
+  assert.match(await description.text(), /template="https:\/\/pages\.example\/search\/suggest\?q=\{searchTerms\}"/);
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { buildTrigramIndex, findSubstring } from '../functions/_trigram.js';
+import { onRequest } from '../functions/search.js';
+
+function scan(keys, q) {
+  const out = [];
+  keys.forEach((key, i) => { if (key && key.includes(q)) out.push(i); });
+  return out;
+}
+
+test('trigram lookups return exactly the ids a linear scan finds, in order', () => {
+  const keys = ['torrelay', 'mytor', '', 'abcxbcd', 'abcd', 'tortortor', 'exit.torproject.org', 'tor'];
+  const index = buildTrigramIndex(keys);
+  assert.deepEqual([...index.grams.get('tor')], [0, 1, 5, 6, 7]);
+
+  for (const q of ['t', 'to', 'tor', 'torr', 'abcd', 'bcd', 'rtor', '.org', 'zzz', 'tortortor', 'tortortort']) {
+    assert.deepEqual(findSubstring(index, q), scan(keys, q), q);
+  }
+});
+
+const relays = [
+  { f: 'A'.repeat(40), n: 'NiftyTor', cc: 'DE', a: 'nifty.example', c: 'h1' },
+  { f: 'B'.repeat(40), n: 'torNode', cc: 'DE', a: 'node.torservers.example', c: 'h2' },
+  { f: 'C'.repeat(40), n: 'Exit42', cc: 'US', a: 'torproject.example', c: 'h3' },
+  { f: 'D'.repeat(40), n: 'StorageBox', cc: 'US' },
+];
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json({
+        meta: { version: '1.6' },
+        relays,
+        families: [],
+        lookups: { as_names: {}, country_names: { de: 'Germany', us: 'United States' } },
+      });
+    },
+  },
+};
+
+async function searchJson(query, extra = '') {
+  const response = await onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=json${extra}`),
+    env,
+  });
+  return response.json();
+}
+
+test('nickname search keeps prefix-over-contains behavior', async () => {
+  assert.equal((await searchJson('torn')).id, 'B'.repeat(40));
+  const contains = await searchJson('tor');
+  assert.equal(contains.id, 'B'.repeat(40));
+  const bySubstring = await searchJson('orag');
+  assert.equal(bySubstring.id, 'D'.repeat(40));
+});
+
+test('contact domain substring and suffix matches use the domain index', async () => {
+  const byContains = await searchJson('torser');
+  assert.equal(byContains.type, 'aroi');
+  assert.equal(byContains.id, 'node.torservers.example');
+
+  const bySuffix = await searchJson('.example');
+  assert.deepEqual(bySuffix.matches.map((m) => m.id).sort(),
+    ['nifty.example', 'node.torservers.example', 'torproject.example']);
+});
+
+// Every nickname pair of these syllables, so each query has a handful of
+// prefix and substring matches
+const syllables = ['tor', 'relay', 'node', 'owl', 'moth', 'fox', 'nifty', 'quiet'];
+const pairRelays = syllables.flatMap((a, i) => syllables
+  .filter((b) => b !== a)
+  .map((b, j) => ({ f: (i * 8 + j).toString(16).toUpperCase().padStart(40, '9'), n: a + b, cc: 'DE' })));
+
+// Nickname step of search() as the linear scan before the trigram index:
+// exact nickname, else prefix matches, else substring matches
+function linearNicknameSearch(q) {
+  const exact = pairRelays.filter((r) => r.n === q);
+  if (exact.length) return exact;
+  const prefix = pairRelays.filter((r) => r.n.startsWith(q));
+  return prefix.length ? prefix : pairRelays.filter((r) => r.n.includes(q));
+}
+
+test('nickname results match the linear scan they replaced', async () => {
+  const { onRequest: pairSearch } = await import('../functions/search.js?trigram-linear');
+  const pairEnv = {
+    ALLIUM_ASSETS: {
+      async fetch() {
+        return Response.json({ meta: { version: '1.6' }, relays: pairRelays, families: [], lookups: { as_names: {} } });
+      },
+    },
+  };
+
+  const queries = new Set(['zzz', 'torx', 'yfo']);
+  for (const { n } of pairRelays) {
+    for (let len = 3; len <= 6; len++) {
+      for (let i = 0; i + len <= n.length; i++) queries.add(n.slice(i, i + len));
+    }
+  }
+
+  for (const q of queries) {
+    const response = await pairSearch({
+      request: new Request(`https://metrics.example/search?q=${q}&format=json`),
+      env: pairEnv,
+    });
+    const body = await response.json();
+    const expected = linearNicknameSearch(q).map((r) => r.f).sort();
+    if (expected.length === 0) assert.equal(body.type, 'not_found', q);
+    else if (expected.length === 1) assert.deepEqual([body.type, body.id], ['relay', expected[0]], q);
+    else {
+      assert.equal(body.total, expected.length, q);
+      assert.deepEqual(body.matches.map((m) => m.f).sort(), expected, q);
+    }
+  }
+});
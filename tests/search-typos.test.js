@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { onRequest } from '../functions/search.js';
+
+const searchIndex = {
+  meta: { version: '1.6' },
+  relays: [
+    { f: 'A'.repeat(40), n: 'NorthernLights', cc: 'SE', a: 'torservers.example', c: 'h1' },
+    { f: 'B'.repeat(40), n: 'quetzal', cc: 'MX' },
+    { f: 'C'.repeat(40), n: 'kiwi', cc: 'NZ' },
+  ],
+  families: [{ id: 'F'.repeat(40), sz: 3, nn: { northernlight: 1 } }],
+  lookups: {
+    as_names: {},
+    country_names: { se: 'Sweden', mx: 'Mexico', nz: 'New Zealand' },
+    platforms: ['linux'],
+    flags: ['running'],
+  },
+};
+
+const env = {
+  ALLIUM_ASSETS: {
+    async fetch() {
+      return Response.json(searchIndex);
+    },
+  },
+};
+
+async function search(query, format = 'json') {
+  return onRequest({
+    request: new Request(`https://metrics.example/search?q=${encodeURIComponent(query)}&format=${format}`),
+    env,
+  });
+}
+
+test('misspelled nicknames, family nicknames and domains get did-you-mean candidates', async () => {
+  const response = await search('northernlght');
+  assert.equal(response.status, 404);
+  assert.deepEqual((await response.json()).suggestions, [
+    { q: 'northernlight', kind: 'family' },
+    { q: 'NorthernLights', kind: 'relay' },
+  ]);
+
+  const domain = await (await search('torserver.example')).json();
+  assert.deepEqual(domain.suggestions, [{ q: 'torservers.example', kind: 'aroi' }]);
+});
+
+test('short queries allow only one edit and unrelated queries get no candidates', async () => {
+  assert.deepEqual((await (await search('kxwx')).json()).suggestions, undefined);
+  assert.deepEqual((await (await search('kiwx')).json()).suggestions, [{ q: 'kiwi', kind: 'relay' }]);
+  assert.deepEqual((await (await search('qetzl')).json()).suggestions, [{ q: 'quetzal', kind: 'relay' }]);
+  assert.equal((await (await search('zzzzzzzz')).json()).suggestions, undefined);
+});
+
+test('the not-found page links did-you-mean candidates back into search', async () => {
+  const response = await search('quetzl', 'html');
+  assert.equal(response.status, 404);
+
+  const body = await response.text();
+  assert.match(body, /<h4>Did you mean<\/h4>/);
+  assert.match(body, /<a href="\/search\?q=quetzal">quetzal<\/a>/);
+});
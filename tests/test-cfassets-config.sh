@@ -30,8 +30,13 @@ OUTPUT_DIR="$TMP_DIR/output" \
 [[ -f "$TMP_DIR/wrangler.assets.toml" ]] || fail "generated config exists"
 grep -q 'name = "allium-shadow-test"' "$TMP_DIR/wrangler.assets.toml" || fail "worker name generated"
 grep -q "directory = \"$TMP_DIR/output\"" "$TMP_DIR/wrangler.assets.toml" || fail "assets directory generated"
-grep -q 'run_worker_first = \[ "/search", "/search/\*" \]' "$TMP_DIR/wrangler.assets.toml" || fail "search-only worker-first routes generated"
+grep -q 'run_worker_first = \[ "/search", "/search/\*", "/opensearch.xml" \]' "$TMP_DIR/wrangler.assets.toml" || fail "search-only worker-first routes generated"
 grep -q 'not_found_handling = "404-page"' "$TMP_DIR/wrangler.assets.toml" || fail "static 404 mode generated"
+grep -q 'SEARCH_RATE_LIMIT_PER_MINUTE = "0"' "$TMP_DIR/wrangler.assets.toml" || fail "search rate limit disabled by default"
+grep -q 'Per-isolate in-memory rate limiting' "$TMP_DIR/wrangler.assets.toml" || fail "in-memory rate limiting by default"
+if grep -Eq 'durable_objects|migrations' "$TMP_DIR/wrangler.assets.toml"; then
+    fail "durable object binding or migration rendered by default"
+fi
 if grep -Eq '(^|[[:space:]])routes?[[:space:]]*=|custom_domain[[:space:]]*=' "$TMP_DIR/wrangler.assets.toml"; then
     fail "shadow config contains production routing"
 fi
@@ -39,6 +44,50 @@ grep -q 'X-Robots-Tag: noindex, nofollow' "$TMP_DIR/output/_headers" || fail "pr
 grep -q 'The requested Allium metrics page does not exist' "$TMP_DIR/output/404.html" || fail "custom 404 installed"
 pass "route-free shadow config and headers are generated"
 
+grep -q 'Sparse source telemetry disabled (SOURCE_EVENTS_ENABLED=false)' "$TMP_DIR/wrangler.assets.toml" || \
+    fail "source events disabled by default"
+grep -q 'analytics_engine_datasets' "$TMP_DIR/wrangler.assets.toml" && fail "disabled source events still bound"
+grep -q '{{' "$TMP_DIR/wrangler.assets.toml" && fail "unrendered template placeholder"
+
+CF_ASSETS_REQUIRE_FRESH_CHECKOUT=false \
+CF_ASSETS_WORKER_NAME=allium-shadow-test \
+CF_ASSETS_PREVIEW_ALIAS=allium-test \
+CF_ASSETS_CONFIG="$TMP_DIR/wrangler.events.toml" \
+SOURCE_EVENTS_ENABLED=true \
+SOURCE_EVENTS_DATASET=allium_test_events \
+OUTPUT_DIR="$TMP_DIR/output" \
+    "$REPO_DIR/scripts/allium-deploy-cfassets.sh" --generate-only >/dev/null
+
+grep -A2 -F '[[analytics_engine_datasets]]' "$TMP_DIR/wrangler.events.toml" | grep -q 'binding = "SOURCE_EVENTS"' || \
+    fail "source events binding generated"
+grep -q 'dataset = "allium_test_events"' "$TMP_DIR/wrangler.events.toml" || fail "source events dataset generated"
+
+set +e
+CF_ASSETS_REQUIRE_FRESH_CHECKOUT=false \
+CF_ASSETS_CONFIG="$TMP_DIR/wrangler.events.toml" \
+SOURCE_EVENTS_ENABLED=true \
+SOURCE_EVENTS_DATASET='bad"dataset' \
+OUTPUT_DIR="$TMP_DIR/output" \
+    "$REPO_DIR/scripts/allium-deploy-cfassets.sh" --generate-only >/dev/null 2>&1
+status=$?
+set -e
+[[ "$status" -ne 0 ]] || fail "malformed source events dataset accepted"
+pass "SOURCE_EVENTS Analytics Engine binding is rendered when enabled"
+
+CF_ASSETS_REQUIRE_FRESH_CHECKOUT=false \
+CF_ASSETS_WORKER_NAME=allium-shadow-test \
+CF_ASSETS_PREVIEW_ALIAS=allium-test \
+CF_ASSETS_CONFIG="$TMP_DIR/wrangler.limiter.toml" \
+CF_ASSETS_SEARCH_RATE_LIMITER_DO=true \
+OUTPUT_DIR="$TMP_DIR/output" \
+    "$REPO_DIR/scripts/allium-deploy-cfassets.sh" --generate-only >/dev/null
+
+grep -A2 -F '[[durable_objects.bindings]]' "$TMP_DIR/wrangler.limiter.toml" | grep -q 'class_name = "SearchRateLimiter"' || \
+    fail "rate limiter durable object bound when enabled"
+grep -q 'new_sqlite_classes = \[ "SearchRateLimiter" \]' "$TMP_DIR/wrangler.limiter.toml" || \
+    fail "rate limiter migration rendered when enabled"
+pass "SearchRateLimiter binding and migration are rendered only when enabled"
+
 touch "$TMP_DIR/overlay-preparation-marker"
 sleep 1
 CF_ASSETS_REQUIRE_FRESH_CHECKOUT=false \
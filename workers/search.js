@@ -2,17 +2,41 @@
  * Workers Static Assets entry point.
  *
  * Matching static assets are served before this module is invoked. The only
- * intentional dynamic route is /search. Other invocations (for example, a
+ * intentional dynamic routes are /search, /search/suggest, /search/bulk,
+ * /search/_health and /opensearch.xml.
+ * Other invocations (for example, a
  * non-navigation request for a missing path) are delegated to the assets
  * binding so Cloudflare's configured 404-page behavior remains authoritative.
+ *
+ * The SearchRateLimiter Durable Object class is exported from here so both
+ * this Worker and the Pages project can bind to it. The Worker binds it only
+ * with CF_ASSETS_SEARCH_RATE_LIMITER_DO=true; without a binding and
+ * migration the export is an ordinary class.
  */
 
-import { onRequest as handleSearch } from '../functions/search.js';
+import {
+  onRequest as handleSearch,
+  onSuggestRequest as handleSuggest,
+  onOpenSearchRequest as handleOpenSearch,
+  onBulkRequest as handleBulk,
+  onHealthRequest as handleHealth,
+} from '../functions/search.js';
+
+export { SearchRateLimiter } from '../functions/_ratelimit.js';
 
 const REHEARSAL_HOSTNAME = 'metrics-next.1aeo.com';
+const OPENSEARCH_PATH = '/opensearch.xml';
+
+// Exact-path search routes; every other /search/* path is the search form.
+const SEARCH_ROUTES = Object.freeze({
+  '/search/suggest': handleSuggest,
+  '/search/bulk': handleBulk,
+  '/search/_health': handleHealth,
+  [OPENSEARCH_PATH]: handleOpenSearch,
+});
 
 function isSearchPath(pathname) {
-  return pathname === '/search' || pathname.startsWith('/search/');
+  return pathname === '/search' || pathname.startsWith('/search/') || pathname === OPENSEARCH_PATH;
 }
 
 function isNonProductionHostname(hostname) {
@@ -38,7 +62,8 @@ export default {
       return env.ALLIUM_ASSETS.fetch(request);
     }
 
-    const response = await handleSearch({
+    const handler = SEARCH_ROUTES[url.pathname] || handleSearch;
+    const response = await handler({
       request,
       env,
       waitUntil: executionCtx.waitUntil.bind(executionCtx),